@@ -4,443 +4,4358 @@ const multer = require('multer');
 const ffmpeg = require('fluent-ffmpeg');
 const { Storage } = require('@google-cloud/storage');
 const axios = require('axios');
+const mime = require('mime-types');
+const ipaddr = require('ipaddr.js');
+const promClient = require('prom-client');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { execFile } = require('child_process');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // --- SETUP ---
-app.use(cors());
-app.use(express.json());
+// Comma-separated list of allowed browser origins; unset allows any origin.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '5mb';
+
+app.use(cors(CORS_ORIGINS.length > 0 ? { origin: CORS_ORIGINS } : {}));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+// Counts every response by route pattern ("/jobs/:id", never the raw path)
+// for GET /metrics.
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : (req.baseUrl || 'unmatched');
+    serviceMetrics.requests.inc({ route, method: req.method, status: res.statusCode });
+  });
+  next();
+});
+
+const ensureDirExists = (dirPath) => {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+  }
+};
+
+// Errors carrying a `status` are the client's fault and their message is
+// safe to return as-is; anything else is reported with the route's generic
+// error message.
+const createError = (status, message) => Object.assign(new Error(message), { status });
+
+// Every error response is `{ error, code }` (plus `details` for validation
+// errors). Failures inside a handler are tagged with the stage that failed:
+// DOWNLOAD_FAILED, FFMPEG_FAILED or UPLOAD_FAILED.
+const tagError = (error, code) => {
+  if (!error.errorCode) error.errorCode = code;
+  return error;
+};
+
+const sendError = (res, status, code, message, extra = {}) => res.status(status).json({ error: message, code, ...extra });
+
+const FAILURE_DESCRIPTIONS = {
+  DOWNLOAD_FAILED: 'The source media could not be downloaded.',
+  FFMPEG_FAILED: 'FFmpeg could not process the media.',
+  UPLOAD_FAILED: 'The output could not be uploaded to storage.',
+};
+
+// Maps a handler failure to the HTTP status, code and message reported to
+// the client. `fallbackMessage` is the route's generic error message.
+const describeFailure = (error, ctx, fallbackMessage) => {
+  if (ctx.cancelled) return { status: 409, code: 'CANCELLED', message: 'Job was cancelled.' };
+  let code = error.errorCode || (ctx.ffmpegError ? 'FFMPEG_FAILED' : null);
+  if (!code) code = error.status ? 'INVALID_REQUEST' : 'INTERNAL_ERROR';
+  const status = error.status || (code === 'DOWNLOAD_FAILED' || code === 'UPLOAD_FAILED' ? 502 : 500);
+  const message = error.status ? error.message : [fallbackMessage, FAILURE_DESCRIPTIONS[code]].filter(Boolean).join(' ');
+  return { status, code, message };
+};
+
+
+// =================================================================
+// === OUTPUT STORAGE BACKENDS                                  ===
+// =================================================================
+// STORAGE_BACKEND selects where generated files go: 'gcs' (default),
+// 'local' (served back by this app under /files) or 's3' (any
+// S3-compatible store). Every backend exposes the same three methods, so
+// routes only ever call `uploadOutput()`.
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'gcs').toLowerCase();
+const STORAGE_PREFIX = (process.env.STORAGE_PREFIX || '').replace(/^\/+|\/+$/g, '');
+const STORAGE_SIGNED_URLS = process.env.STORAGE_SIGNED_URLS === 'true';
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 3600;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+const createGcsBackend = () => {
+  const storage = new Storage();
+  // ⚠️ IMPORTANT: Set GCS_BUCKET to your actual Google Cloud Storage bucket name
+  const bucket = storage.bucket(process.env.GCS_BUCKET || 'ben-ffmpeg-video-bucket-12345');
+  return {
+    upload: (localPath, key, { contentType }) => bucket.upload(localPath, { destination: key, contentType }),
+    publicUrl: (key) => bucket.file(key).publicUrl(),
+    signedUrl: async (key, ttlSeconds) => {
+      const [url] = await bucket.file(key).getSignedUrl({ version: 'v4', action: 'read', expires: Date.now() + ttlSeconds * 1000 });
+      return url;
+    },
+  };
+};
+
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'uploads'));
+const LOCAL_SIGNING_SECRET = process.env.LOCAL_STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+const signLocalKey = (key, expires) => crypto.createHmac('sha256', LOCAL_SIGNING_SECRET).update(`${key}:${expires}`).digest('hex');
+
+const createLocalBackend = () => {
+  ensureDirExists(LOCAL_STORAGE_DIR);
+  return {
+    upload: async (localPath, key) => {
+      const target = path.resolve(LOCAL_STORAGE_DIR, key);
+      if (!target.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+        throw new Error(`Refusing to write outside the storage directory: ${key}`);
+      }
+      ensureDirExists(path.dirname(target));
+      await fs.promises.copyFile(localPath, target);
+    },
+    publicUrl: (key) => `${PUBLIC_BASE_URL}/files/${encodeKey(key)}`,
+    signedUrl: async (key, ttlSeconds) => {
+      const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+      return `${PUBLIC_BASE_URL}/files/${encodeKey(key)}?expires=${expires}&signature=${signLocalKey(key, expires)}`;
+    },
+  };
+};
+
+const createS3Backend = () => {
+  const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('STORAGE_BACKEND=s3 requires S3_BUCKET to be set.');
+  }
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT;
+  const client = new S3Client({ region, endpoint, forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || !!endpoint });
+  const publicBase = (process.env.S3_PUBLIC_BASE_URL
+    || (endpoint ? `${endpoint.replace(/\/+$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/+$/, '');
+
+  return {
+    upload: async (localPath, key, { contentType }) => {
+      const { size } = await fs.promises.stat(localPath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(localPath),
+        ContentLength: size,
+        ContentType: contentType,
+      }));
+    },
+    publicUrl: (key) => `${publicBase}/${encodeKey(key)}`,
+    signedUrl: (key, ttlSeconds) => getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: ttlSeconds }),
+  };
+};
+
+const storageBackends = { gcs: createGcsBackend, local: createLocalBackend, s3: createS3Backend };
+if (!storageBackends[STORAGE_BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}". Use one of: ${Object.keys(storageBackends).join(', ')}.`);
+}
+const outputStorage = storageBackends[STORAGE_BACKEND]();
+console.log(`[Storage] Using "${STORAGE_BACKEND}" storage backend.`);
+
+if (STORAGE_BACKEND === 'local') {
+  // Files are public unless signed URLs are enabled, in which case every
+  // request must carry a valid, unexpired signature.
+  app.use('/files', (req, res, next) => {
+    const { expires, signature } = req.query;
+    if (!STORAGE_SIGNED_URLS && !signature) return next();
+    const key = decodeURIComponent(req.path.replace(/^\//, ''));
+    const expected = signLocalKey(key, expires);
+    const valid = typeof signature === 'string' && /^\d+$/.test(expires || '')
+      && expected.length === signature.length
+      && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    if (!valid || Number(expires) < Date.now() / 1000) {
+      return sendError(res, 403, 'FORBIDDEN', 'Invalid or expired file signature.');
+    }
+    next();
+  }, express.static(LOCAL_STORAGE_DIR));
+}
+
+// Uploads a generated file and returns the URL to hand back to the client:
+// a signed URL when enabled globally or via the request's `signedUrls` flag,
+// the backend's public URL otherwise.
+const uploadOutput = async (localPath, destination, ctx) => {
+  if (ctx) ctx.throwIfCancelled();
+  const key = STORAGE_PREFIX ? `${STORAGE_PREFIX}/${destination}` : destination;
+  const signed = ctx && typeof ctx.signedUrls === 'boolean' ? ctx.signedUrls : STORAGE_SIGNED_URLS;
+  let url;
+  try {
+    await outputStorage.upload(localPath, key, { contentType: mime.lookup(localPath) || 'application/octet-stream' });
+    url = await (signed ? outputStorage.signedUrl(key, SIGNED_URL_TTL_SECONDS) : outputStorage.publicUrl(key));
+  } catch (error) {
+    throw tagError(error, 'UPLOAD_FAILED');
+  }
+  if (ctx && ctx.onOutput) await ctx.onOutput(localPath, url);
+  return url;
+};
+
+
+// =================================================================
+// === AUTHENTICATION, RATE LIMITS & METRICS                    ===
+// =================================================================
+// API keys come from API_KEYS_FILE (a JSON array) or API_KEYS, which is
+// either the same JSON array or a comma-separated list of "name:key" pairs.
+// Each entry may override `rateLimitPerMinute` and `maxConcurrentJobs`.
+// Without any keys configured, authentication is off and so are the per-key
+// limits; MAX_CONCURRENT_JOBS still bounds the worker pool.
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 60;
+const DEFAULT_MAX_JOBS_PER_KEY = parseInt(process.env.MAX_JOBS_PER_KEY, 10) || 2;
+const MIN_API_KEY_LENGTH = 16;
+
+const hashApiKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+const loadApiKeys = () => {
+  const raw = (process.env.API_KEYS_FILE ? fs.readFileSync(process.env.API_KEYS_FILE, 'utf8') : process.env.API_KEYS || '').trim();
+  if (!raw) return new Map();
+  const entries = raw.startsWith('[')
+    ? JSON.parse(raw)
+    : raw.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+      const separator = entry.indexOf(':');
+      return separator > 0 ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) } : { name: `key-${index + 1}`, key: entry };
+    });
+  return new Map(entries.map((entry, index) => {
+    if (!entry || typeof entry.key !== 'string' || entry.key.length < MIN_API_KEY_LENGTH) {
+      throw new Error(`API key #${index + 1} must be a string of at least ${MIN_API_KEY_LENGTH} characters.`);
+    }
+    return [hashApiKey(entry.key), {
+      name: entry.name || `key-${index + 1}`,
+      rateLimitPerMinute: entry.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+      maxConcurrentJobs: entry.maxConcurrentJobs || DEFAULT_MAX_JOBS_PER_KEY,
+    }];
+  }));
+};
+
+const apiKeys = loadApiKeys();
+if (apiKeys.size > 0) {
+  console.log(`[Auth] Loaded ${apiKeys.size} API keys.`);
+} else {
+  console.warn('[Auth] No API keys configured; authentication, rate limits and job quotas are disabled.');
+}
+
+// Sets `req.client` from the `X-API-Key` or `Authorization: Bearer` header.
+const authenticate = (req, res, next) => {
+  if (apiKeys.size === 0) {
+    req.client = { name: 'anonymous', anonymous: true };
+    return next();
+  }
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  const key = req.get('x-api-key') || (bearer && bearer[1]);
+  const client = key ? apiKeys.get(hashApiKey(key)) : null;
+  if (!client) {
+    return sendError(res, 401, 'UNAUTHORIZED', 'A valid API key is required (X-API-Key or Authorization: Bearer header).');
+  }
+  req.client = client;
+  next();
+};
+
+// Token bucket per client: `rateLimitPerMinute` requests, refilled evenly.
+const rateBuckets = new Map();
+
+const rateLimit = (req, res, next) => {
+  if (req.client.anonymous) return next();
+  const { name, rateLimitPerMinute: capacity } = req.client;
+  const now = Date.now();
+  const bucket = rateBuckets.get(name) || { tokens: capacity, updatedAt: now };
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 60000) * capacity);
+  bucket.updatedAt = now;
+  rateBuckets.set(name, bucket);
+  if (bucket.tokens < 1) {
+    const retryAfter = Math.ceil(((1 - bucket.tokens) / capacity) * 60);
+    res.set('Retry-After', String(retryAfter));
+    return sendError(res, 429, 'RATE_LIMITED', `Rate limit of ${capacity} requests per minute exceeded; retry in ${retryAfter}s.`);
+  }
+  bucket.tokens -= 1;
+  next();
+};
+
+// Buckets that have refilled completely carry no state worth keeping.
+setInterval(() => {
+  const now = Date.now();
+  rateBuckets.forEach((bucket, name) => {
+    if (now - bucket.updatedAt > 60000) rateBuckets.delete(name);
+  });
+}, 60000).unref();
+
+// Queued plus running jobs per client, capped at `maxConcurrentJobs`.
+const activeJobsByClient = new Map();
+
+const acquireJobSlot = (client) => {
+  if (client.anonymous) return true;
+  const active = activeJobsByClient.get(client.name) || 0;
+  if (active >= client.maxConcurrentJobs) return false;
+  activeJobsByClient.set(client.name, active + 1);
+  return true;
+};
+
+const releaseJobSlot = (client) => {
+  if (client.anonymous) return;
+  const active = (activeJobsByClient.get(client.name) || 1) - 1;
+  if (active > 0) activeJobsByClient.set(client.name, active);
+  else activeJobsByClient.delete(client.name);
+};
+
+// --- Prometheus metrics, served at GET /metrics ---
+promClient.collectDefaultMetrics();
+
+const serviceMetrics = {
+  requests: new promClient.Counter({
+    name: 'ffmpeg_service_http_requests_total',
+    help: 'HTTP requests by route, method and status code.',
+    labelNames: ['route', 'method', 'status'],
+  }),
+  jobs: new promClient.Counter({
+    name: 'ffmpeg_service_jobs_total',
+    help: 'Finished processing jobs by route and outcome.',
+    labelNames: ['route', 'status'],
+  }),
+  jobDuration: new promClient.Histogram({
+    name: 'ffmpeg_service_job_duration_seconds',
+    help: 'Processing time of jobs that started, by route and outcome.',
+    labelNames: ['route', 'status'],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+  }),
+  failures: new promClient.Counter({
+    name: 'ffmpeg_service_job_failures_total',
+    help: 'Failed processing jobs by route and error code.',
+    labelNames: ['route', 'code'],
+  }),
+  ffmpegFailures: new promClient.Counter({
+    name: 'ffmpeg_service_ffmpeg_failures_total',
+    help: 'ffmpeg processes that exited with an error, by route.',
+    labelNames: ['route'],
+  }),
+};
+
+const recordJobOutcome = (route, status, durationSeconds, code) => {
+  serviceMetrics.jobs.inc({ route, status });
+  if (durationSeconds !== null) serviceMetrics.jobDuration.observe({ route, status }, durationSeconds);
+  if (code) serviceMetrics.failures.inc({ route, code });
+};
+
+
+// =================================================================
+// === JOBS: WORKER POOL, PROGRESS & CANCELLATION               ===
+// =================================================================
+// Every processing route runs through the worker pool, so at most
+// MAX_CONCURRENT_JOBS ffmpeg workloads are active at once. Requests that
+// pass `async: true` (or a `callbackUrl`) get a job id back immediately and
+// can poll `GET /jobs/:id` or cancel with `DELETE /jobs/:id`.
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || os.cpus().length;
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_SECONDS, 10) || 3600) * 1000;
+const CALLBACK_ATTEMPTS = 3;
+
+const createWorkerPool = (limit) => {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    while (active < limit && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+
+  return {
+    run: (task) => new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    }),
+    stats: () => ({ active, queued: queue.length, limit }),
+  };
+};
+
+const workerPool = createWorkerPool(MAX_CONCURRENT_JOBS);
+
+new promClient.Gauge({
+  name: 'ffmpeg_service_worker_pool_jobs',
+  help: 'Jobs running in or queued for the worker pool.',
+  labelNames: ['state'],
+  collect() {
+    const { active, queued } = workerPool.stats();
+    this.set({ state: 'active' }, active);
+    this.set({ state: 'queued' }, queued);
+  },
+});
+const jobs = new Map();
+
+// The context handed to every route handler. Handlers register their ffmpeg
+// commands with `ctx.track()` so progress can be reported and a cancel can
+// kill the running processes.
+const createJobContext = ({ onProgress } = {}) => {
+  const commands = new Set();
+  const cleanups = [];
+  const children = new Set();
+  const ctx = {
+    tempDir: null,
+    uploadedFile: null,
+    signedUrls: undefined,
+    // Media ingested once for a whole pipeline; `ingestMedia()` falls back
+    // to it when a step names no source of its own.
+    sourceMediaId: null,
+    // Called with (localPath, url) after every uploaded output.
+    onOutput: null,
+    // Route label for metrics, and the last ffmpeg process error, which
+    // classifies a failure as FFMPEG_FAILED.
+    route: null,
+    ffmpegError: null,
+    progress: 0,
+    cancelled: false,
+
+    setProgress: (percent) => {
+      const clamped = Math.max(0, Math.min(100, percent));
+      if (clamped <= ctx.progress) return;
+      ctx.progress = clamped;
+      if (onProgress) onProgress(clamped);
+    },
+
+    // `progress: [from, to]` maps the command's own 0-100% onto that slice
+    // of the overall job progress.
+    track: (command, { progress } = {}) => {
+      commands.add(command);
+      command
+        .on('start', () => { if (ctx.cancelled) command.kill('SIGKILL'); })
+        .on('end', () => commands.delete(command))
+        .on('error', (err) => {
+          commands.delete(command);
+          if (ctx.cancelled) return;
+          ctx.ffmpegError = err;
+          serviceMetrics.ffmpegFailures.inc({ route: ctx.route || 'unknown' });
+        });
+      if (progress) {
+        const [from, to] = progress;
+        command.on('progress', (info) => {
+          if (typeof info.percent === 'number' && isFinite(info.percent)) {
+            ctx.setProgress(from + (to - from) * Math.min(100, info.percent) / 100);
+          }
+        });
+      }
+      return command;
+    },
+
+    throwIfCancelled: () => {
+      if (ctx.cancelled) throw new Error('Job was cancelled.');
+    },
+
+    cancel: () => {
+      ctx.cancelled = true;
+      commands.forEach(command => command.kill('SIGKILL'));
+      children.forEach(child => child.cancel());
+    },
+
+    // A context for one step of this job that shares its cancellation, URL
+    // signing, pipeline source and output hook.
+    createChild: ({ onProgress: onChildProgress } = {}) => {
+      const child = createJobContext({ onProgress: onChildProgress });
+      Object.assign(child, { signedUrls: ctx.signedUrls, sourceMediaId: ctx.sourceMediaId, onOutput: ctx.onOutput, route: ctx.route });
+      children.add(child);
+      child.defer(() => children.delete(child));
+      if (ctx.cancelled) child.cancel();
+      return child;
+    },
+
+    // Registers work to run once the handler has finished, however it ends.
+    defer: (fn) => cleanups.push(fn),
+
+    cleanup: () => {
+      cleanups.splice(0).reverse().forEach(fn => fn());
+      if (ctx.uploadedFile) fs.rmSync(ctx.uploadedFile.path, { force: true });
+      if (ctx.tempDir && fs.existsSync(ctx.tempDir)) {
+        fs.rmSync(ctx.tempDir, { recursive: true, force: true });
+      }
+    },
+  };
+  return ctx;
+};
+
+// Runs a route handler inside its own temp directory, cleaning up afterwards.
+const runHandler = async (handler, body, ctx, tempPrefix) => {
+  try {
+    ctx.throwIfCancelled();
+    ctx.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `${tempPrefix}_`));
+    return await handler(body, ctx);
+  } finally {
+    ctx.cleanup();
+  }
+};
+
+const serializeJob = (job) => ({
+  jobId: job.id,
+  route: job.route,
+  status: job.status,
+  progress: Math.round(job.ctx.progress * 10) / 10,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  result: job.result,
+  error: job.error,
+  errorCode: job.errorCode,
+});
+
+const sendJobCallback = async (job) => {
+  const payload = serializeJob(job);
+  for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+    try {
+      assertFetchableUrl(job.callbackUrl);
+      await axios.post(job.callbackUrl, payload, {
+        timeout: 10000,
+        httpAgent: safeHttpAgent,
+        httpsAgent: safeHttpsAgent,
+        maxRedirects: 0,
+      });
+      console.log(`[Jobs] Callback for job ${job.id} delivered.`);
+      return;
+    } catch (error) {
+      console.warn(`[Jobs] Callback attempt ${attempt} for job ${job.id} failed: ${error.message}`);
+      if (attempt < CALLBACK_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+      }
+    }
+  }
+};
+
+const finishJob = (job, status, fields) => {
+  if (job.finishedAt) return;
+  Object.assign(job, { status, finishedAt: new Date().toISOString() }, fields);
+  releaseJobSlot(job.client);
+  recordJobOutcome(job.route, status, job.startedAt ? (Date.now() - Date.parse(job.startedAt)) / 1000 : null, job.errorCode);
+  if (status === 'succeeded') job.ctx.setProgress(100);
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  if (job.callbackUrl) sendJobCallback(job);
+};
+
+// `client` must already hold a job slot; finishing the job releases it.
+const startJob = (route, { tag, tempPrefix, errorMessage, handler }, body, uploadedFile, client) => {
+  const job = {
+    id: crypto.randomUUID(),
+    route,
+    client,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    errorCode: null,
+    callbackUrl: body.callbackUrl || null,
+  };
+  job.ctx = createJobContext();
+  job.ctx.route = route;
+  job.ctx.signedUrls = body.signedUrls;
+  job.ctx.uploadedFile = uploadedFile;
+  jobs.set(job.id, job);
+
+  workerPool.run(() => {
+    job.ctx.throwIfCancelled();
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`[Jobs] Job ${job.id} (${route}) started.`);
+    return runHandler(handler, body, job.ctx, tempPrefix);
+  }).then((result) => {
+    console.log(`[Jobs] Job ${job.id} succeeded.`);
+    finishJob(job, 'succeeded', { result });
+  }).catch((error) => {
+    if (job.ctx.cancelled) {
+      console.log(`[Jobs] Job ${job.id} was cancelled.`);
+      finishJob(job, 'cancelled', {});
+    } else {
+      console.error(`[${tag}] Job ${job.id} failed:`, error.message);
+      const { code, message } = describeFailure(error, job.ctx, errorMessage);
+      finishJob(job, 'failed', { error: message, errorCode: code });
+    }
+  });
+
+  return job;
+};
+
+// Every processing route by operation name ("extract-audio"), so /pipeline
+// can run them as steps.
+const operations = new Map();
+
+// Registers a POST processing route. `validate(body, file)` returns an error
+// message for bad bodies; `handler(body, ctx)` resolves with the JSON
+// response payload. Routes accept JSON or multipart bodies with an optional
+// uploaded "file".
+const defineProcessingRoute = (route, options) => {
+  const { tag, tempPrefix, errorMessage, validate, handler } = options;
+  operations.set(route.replace(/^\//, ''), options);
+  app.post(route, authenticate, rateLimit, receiveUpload, async (req, res) => {
+    const body = req.is('multipart/form-data') ? parseMultipartFields(req.body || {}) : (req.body || {});
+    const discardUpload = () => { if (req.file) fs.rmSync(req.file.path, { force: true }); };
+    // Validators return a message, or `{ error, details }` when they can
+    // point at the offending fields.
+    const validationError = validate(body, req.file);
+    if (validationError) {
+      discardUpload();
+      return typeof validationError === 'string'
+        ? sendError(res, 400, 'VALIDATION_FAILED', validationError)
+        : sendError(res, 400, 'VALIDATION_FAILED', validationError.error, { details: validationError.details });
+    }
+    if (body.callbackUrl && !/^https?:\/\//i.test(body.callbackUrl)) {
+      discardUpload();
+      return sendError(res, 400, 'VALIDATION_FAILED', '"callbackUrl" must be an http(s) URL.');
+    }
+    if (!acquireJobSlot(req.client)) {
+      discardUpload();
+      return sendError(res, 429, 'QUOTA_EXCEEDED', `Concurrent job limit of ${req.client.maxConcurrentJobs} reached; wait for a running job to finish.`);
+    }
+
+    if (body.async || body.callbackUrl) {
+      const job = startJob(route, options, body, req.file || null, req.client);
+      console.log(`[${tag}] Queued as job ${job.id}.`);
+      return res.status(202).json({ success: true, jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}` });
+    }
+
+    const ctx = createJobContext();
+    ctx.route = route;
+    ctx.signedUrls = body.signedUrls;
+    ctx.uploadedFile = req.file || null;
+    let startedAt = null;
+    try {
+      const result = await workerPool.run(() => {
+        startedAt = Date.now();
+        return runHandler(handler, body, ctx, tempPrefix);
+      });
+      recordJobOutcome(route, 'succeeded', (Date.now() - startedAt) / 1000, null);
+      res.status(200).json(result);
+    } catch (error) {
+      console.error(`[${tag}] A critical error occurred:`, error.message);
+      const { status, code, message } = describeFailure(error, ctx, errorMessage);
+      recordJobOutcome(route, 'failed', startedAt ? (Date.now() - startedAt) / 1000 : null, code);
+      sendError(res, status, code, message);
+    } finally {
+      releaseJobSlot(req.client);
+    }
+  });
+};
+
+// Jobs are only visible to the API key that created them.
+const findOwnJob = (req) => {
+  const job = jobs.get(req.params.id);
+  return job && (req.client.anonymous || job.client.name === req.client.name) ? job : null;
+};
+
+app.get('/jobs/:id', authenticate, (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) {
+    return sendError(res, 404, 'NOT_FOUND', 'Job not found.');
+  }
+  res.status(200).json({ success: true, job: serializeJob(job) });
+});
+
+app.delete('/jobs/:id', authenticate, (req, res) => {
+  const job = findOwnJob(req);
+  if (!job) {
+    return sendError(res, 404, 'NOT_FOUND', 'Job not found.');
+  }
+  if (job.status !== 'queued' && job.status !== 'running') {
+    return sendError(res, 409, 'CONFLICT', `Job has already ${job.status}.`);
+  }
+
+  console.log(`[Jobs] Cancelling job ${job.id}.`);
+  const wasQueued = job.status === 'queued';
+  job.ctx.cancel();
+  // A queued job never reaches its handler, so mark it and remove its
+  // upload straight away; the pool will skip it when its turn comes.
+  if (wasQueued) {
+    job.ctx.cleanup();
+    finishJob(job, 'cancelled', {});
+  }
+  res.status(200).json({ success: true, job: serializeJob(job) });
+});
+
+
+// =================================================================
+// === MEDIA INGESTION & DOWNLOAD CACHE                         ===
+// =================================================================
+// Every route resolves its input through `ingestMedia()`, which accepts a
+// direct http(s) URL, a gs://bucket/object URI, a multipart upload (field
+// "file") or a page URL resolved through yt-dlp. Fetched media lands in a
+// content-addressed cache (objects/<sha256>) with a per-source index, so the
+// same video is only downloaded once across routes.
+const MEDIA_CACHE_DIR = path.resolve(process.env.MEDIA_CACHE_DIR || path.join(os.tmpdir(), 'ffmpeg-media-cache'));
+const MEDIA_CACHE_MAX_BYTES = (parseInt(process.env.MEDIA_CACHE_MAX_MB, 10) || 10240) * 1024 * 1024;
+const MEDIA_CACHE_TTL_MS = (parseInt(process.env.MEDIA_CACHE_TTL_SECONDS, 10) || 86400) * 1000;
+const MAX_DOWNLOAD_BYTES = (parseInt(process.env.MAX_DOWNLOAD_MB, 10) || 2048) * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = (parseInt(process.env.DOWNLOAD_TIMEOUT_SECONDS, 10) || 600) * 1000;
+const ALLOW_PRIVATE_SOURCES = process.env.ALLOW_PRIVATE_SOURCES === 'true';
+// Buckets gs:// sources may be read from (comma-separated). The service
+// account can usually read more than callers should, so none are by default.
+const GCS_SOURCE_BUCKETS = (process.env.GCS_SOURCE_BUCKETS || '').split(',').map(bucket => bucket.trim()).filter(Boolean);
+const YT_DLP_PATH = process.env.YT_DLP_PATH || 'yt-dlp';
+const MAX_REDIRECTS = 5;
+
+const cacheObjectsDir = path.join(MEDIA_CACHE_DIR, 'objects');
+const cacheSourcesDir = path.join(MEDIA_CACHE_DIR, 'sources');
+const cacheTmpDir = path.join(MEDIA_CACHE_DIR, 'tmp');
+[cacheObjectsDir, cacheSourcesDir, cacheTmpDir].forEach(ensureDirExists);
+
+const upload = multer({ dest: cacheTmpDir, limits: { fileSize: MAX_DOWNLOAD_BYTES } });
+const inflightDownloads = new Map();
+const pinnedMedia = new Map();
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// --- SSRF guard: only public unicast addresses may be fetched ---
+const isPublicAddress = (address) => {
+  try {
+    return ipaddr.process(address).range() === 'unicast';
+  } catch (error) {
+    return false;
+  }
+};
+
+const assertPublicAddress = (hostname, address) => {
+  if (!ALLOW_PRIVATE_SOURCES && !isPublicAddress(address)) {
+    throw createError(400, `Refusing to fetch "${hostname}": it resolves to a private or loopback address.`);
+  }
+};
+
+// Used as the agents' DNS lookup so every connection, including redirects,
+// is checked against the address actually being dialled.
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    try {
+      addresses.forEach(({ address }) => assertPublicAddress(hostname, address));
+    } catch (error) {
+      return callback(error);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const safeHttpAgent = new http.Agent({ lookup: safeLookup });
+const safeHttpsAgent = new https.Agent({ lookup: safeLookup });
+
+const assertFetchableUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createError(400, `Invalid source URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw createError(400, `Unsupported source URL scheme "${parsed.protocol}".`);
+  }
+  // IP literals never reach the agents' lookup, so check them here.
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) assertPublicAddress(hostname, hostname);
+  return parsed;
+};
+
+// For URLs fetched by another program (yt-dlp), whose connections cannot go
+// through the guarded agents: checks what the hostname resolves to now.
+const assertPublicHost = async (url) => {
+  const { hostname } = assertFetchableUrl(url);
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) return;
+  await new Promise((resolve, reject) => {
+    safeLookup(hostname, { all: true }, (err) => (err ? reject(err) : resolve()));
+  });
+};
+
+// Performs a GET with the SSRF guard applied to every redirect hop.
+const safeGet = async (url, config = {}) => {
+  let currentUrl = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertFetchableUrl(currentUrl);
+    const response = await axios({
+      method: 'get',
+      url: currentUrl,
+      httpAgent: safeHttpAgent,
+      httpsAgent: safeHttpsAgent,
+      maxRedirects: 0,
+      validateStatus: (status) => status >= 200 && status < 400,
+      ...config,
+    });
+    if (response.status < 300) return response;
+    if (response.data && response.data.destroy) response.data.destroy();
+    if (!response.headers.location) {
+      throw createError(502, `Source returned HTTP ${response.status} without a redirect location.`);
+    }
+    currentUrl = new URL(response.headers.location, currentUrl).toString();
+  }
+  throw createError(502, `Too many redirects fetching ${url}.`);
+};
+
+// --- Cache bookkeeping ---
+const cacheObjectPath = (mediaId) => path.join(cacheObjectsDir, mediaId);
+const cacheIndexPath = (sourceKey) => path.join(cacheSourcesDir, `${sha256(sourceKey)}.json`);
+
+const isStaleIndexEntry = entry => Date.now() - entry.fetchedAt > MEDIA_CACHE_TTL_MS || !fs.existsSync(cacheObjectPath(entry.mediaId));
+
+const lookupCachedSource = (sourceKey) => {
+  try {
+    const entry = JSON.parse(fs.readFileSync(cacheIndexPath(sourceKey), 'utf8'));
+    if (isStaleIndexEntry(entry)) {
+      fs.rmSync(cacheIndexPath(sourceKey), { force: true });
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Removes source index entries that expired or whose object was evicted.
+// Unreadable entries are removed too; they can never produce a cache hit.
+const pruneCacheIndex = () => {
+  let removed = 0;
+  fs.readdirSync(cacheSourcesDir).forEach((name) => {
+    const indexPath = path.join(cacheSourcesDir, name);
+    let stale = true;
+    try {
+      stale = isStaleIndexEntry(JSON.parse(fs.readFileSync(indexPath, 'utf8')));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+    }
+    if (stale) {
+      fs.rmSync(indexPath, { force: true });
+      removed++;
+    }
+  });
+  if (removed > 0) console.log(`[Ingest] Pruned ${removed} stale media cache index entries.`);
+};
+
+pruneCacheIndex();
+setInterval(pruneCacheIndex, 60 * 60 * 1000).unref();
+
+const pinMedia = (mediaId, ctx) => {
+  pinnedMedia.set(mediaId, (pinnedMedia.get(mediaId) || 0) + 1);
+  ctx.defer(() => {
+    const count = pinnedMedia.get(mediaId) - 1;
+    if (count > 0) pinnedMedia.set(mediaId, count);
+    else pinnedMedia.delete(mediaId);
+  });
+  const now = new Date();
+  fs.utimesSync(cacheObjectPath(mediaId), now, now);
+};
+
+// Drops least-recently-used objects until the cache fits its budget again.
+// Objects in use by a running handler are never evicted.
+const evictMediaCache = () => {
+  const entries = fs.readdirSync(cacheObjectsDir).map((name) => {
+    const stats = fs.statSync(path.join(cacheObjectsDir, name));
+    return { name, size: stats.size, lastUsed: stats.mtimeMs };
+  });
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  entries.sort((a, b) => a.lastUsed - b.lastUsed);
+  for (const entry of entries) {
+    if (total <= MEDIA_CACHE_MAX_BYTES) break;
+    if (pinnedMedia.has(entry.name)) continue;
+    fs.rmSync(path.join(cacheObjectsDir, entry.name), { force: true });
+    total -= entry.size;
+    console.log(`[Ingest] Evicted ${entry.name} from the media cache.`);
+  }
+};
+
+// Moves a fully written temp file into the object store under its hash.
+const commitToCache = async (tempPath, mediaId, sourceKey) => {
+  const objectPath = cacheObjectPath(mediaId);
+  if (fs.existsSync(objectPath)) {
+    await fs.promises.rm(tempPath, { force: true });
+  } else {
+    try {
+      await fs.promises.rename(tempPath, objectPath);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(tempPath, objectPath);
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+  const { size } = fs.statSync(objectPath);
+  if (sourceKey) {
+    fs.writeFileSync(cacheIndexPath(sourceKey), JSON.stringify({ source: sourceKey, mediaId, size, fetchedAt: Date.now() }));
+  }
+  evictMediaCache();
+  return { mediaId, size };
+};
+
+// Writes a readable stream to `filePath`, enforcing MAX_DOWNLOAD_BYTES, and
+// resolves with the SHA-256 of what was written.
+const writeLimitedStream = async (readable, filePath) => {
+  const hash = crypto.createHash('sha256');
+  let received = 0;
+  // pipeline() closes the file when the source fails or the limit is hit,
+  // so the partial file's descriptor and disk space are released.
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_DOWNLOAD_BYTES) {
+        return callback(createError(413, `Source exceeds the ${MAX_DOWNLOAD_BYTES} byte download limit.`));
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  try {
+    await pipeline(readable, limiter, fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+  return hash.digest('hex');
+};
+
+// Writes a readable stream into the cache temp dir, hashing as it goes.
+const streamToCache = async (readable, sourceKey) => {
+  const tempPath = path.join(cacheTmpDir, crypto.randomUUID());
+  return commitToCache(tempPath, await writeLimitedStream(readable, tempPath), sourceKey);
+};
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Copies a generated output into the cache under the URL it was published
+// at, so a later ingest of that URL (e.g. a pipeline step consuming an
+// earlier step's output) needs no download.
+const seedMediaCache = async (localPath, url) => {
+  const tempPath = path.join(cacheTmpDir, crypto.randomUUID());
+  await fs.promises.copyFile(localPath, tempPath);
+  return commitToCache(tempPath, await hashFile(tempPath), url);
+};
+
+// --- Source fetchers ---
+// Plain HTTP(S) formats only: segmented (HLS/DASH) formats would need yt-dlp
+// or ffmpeg to fetch them, outside the SSRF guard.
+const YT_DLP_FORMAT = 'bv*[protocol~=\'^https?$\']+ba[protocol~=\'^https?$\']/b[protocol~=\'^https?$\']';
+
+// yt-dlp only resolves the page to direct media URLs; the media itself is
+// downloaded through `safeGet` like any other source. Separate video and
+// audio formats are muxed locally.
+const fetchWithYtDlp = async (pageUrl) => {
+  await assertPublicHost(pageUrl);
+  console.log(`[Ingest] Resolving ${pageUrl} with yt-dlp...`);
+  const { stdout } = await execFileAsync(YT_DLP_PATH, [
+    '--no-playlist',
+    '--simulate',
+    '--dump-json',
+    '-f', YT_DLP_FORMAT,
+    pageUrl,
+  ], { timeout: DOWNLOAD_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 });
+  let info;
+  try {
+    info = JSON.parse(stdout.trim().split('\n')[0]);
+  } catch (error) {
+    info = null;
+  }
+  const formats = info ? (info.requested_formats || [info]).filter(format => format.url) : [];
+  if (formats.length === 0) {
+    throw createError(422, `yt-dlp could not find downloadable media at ${pageUrl}.`);
+  }
+
+  const workDir = fs.mkdtempSync(path.join(cacheTmpDir, 'ytdlp_'));
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+  try {
+    const parts = [];
+    for (const format of formats) {
+      const partPath = path.join(workDir, `part${parts.length}.${format.ext || 'bin'}`);
+      const response = await safeGet(format.url, { responseType: 'stream', timeout: 30000, signal: controller.signal, headers: format.http_headers || {} });
+      await writeLimitedStream(response.data, partPath);
+      parts.push(partPath);
+    }
+    let mediaPath = parts[0];
+    if (parts.length > 1) {
+      mediaPath = path.join(workDir, 'media.mp4');
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg();
+        parts.forEach(part => command.input(part));
+        command
+          .outputOptions([...parts.flatMap((part, index) => ['-map', `${index}`]), '-c', 'copy'])
+          .output(mediaPath)
+          .on('end', resolve)
+          .on('error', (err) => reject(new Error(`FFmpeg merge error: ${err.message}`)))
+          .run();
+      });
+    }
+    return await commitToCache(mediaPath, await hashFile(mediaPath), `yt-dlp:${pageUrl}`);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw createError(504, `Timed out downloading ${pageUrl}.`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
+
+const fetchHttp = async (url, { resolver }) => {
+  if (resolver === 'yt-dlp') return fetchWithYtDlp(url);
+
+  console.log(`[Ingest] Downloading ${url}`);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+  try {
+    const response = await safeGet(url, { responseType: 'stream', timeout: 30000, signal: controller.signal });
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType.startsWith('text/html')) {
+      // Not a media file: treat it as a page and let yt-dlp find the video.
+      response.data.destroy();
+      if (resolver === 'direct') {
+        throw createError(422, `Source URL returned an HTML page, not media: ${url}`);
+      }
+      return fetchWithYtDlp(url);
+    }
+    const declaredLength = parseInt(response.headers['content-length'], 10);
+    if (declaredLength > MAX_DOWNLOAD_BYTES) {
+      response.data.destroy();
+      throw createError(413, `Source exceeds the ${MAX_DOWNLOAD_BYTES} byte download limit.`);
+    }
+    return await streamToCache(response.data, url);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw createError(504, `Timed out downloading ${url}.`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const fetchGcsObject = async (uri) => {
+  const match = /^gs:\/\/([^/]+)\/(.+)$/.exec(uri);
+  if (!match) {
+    throw createError(400, `Invalid gs:// URI: ${uri}`);
+  }
+  if (!GCS_SOURCE_BUCKETS.includes(match[1])) {
+    throw createError(400, `Reading from bucket "${match[1]}" is not allowed.`);
+  }
+  console.log(`[Ingest] Reading ${uri}`);
+  const file = new Storage().bucket(match[1]).file(match[2]);
+  const [metadata] = await file.getMetadata();
+  if (Number(metadata.size) > MAX_DOWNLOAD_BYTES) {
+    throw createError(413, `Source exceeds the ${MAX_DOWNLOAD_BYTES} byte download limit.`);
+  }
+  const sourceKey = `${uri}#${metadata.generation}`;
+  return fetchSource(sourceKey, () => streamToCache(file.createReadStream(), sourceKey));
+};
+
+const fetchSource = (sourceKey, fetcher) => {
+  const cached = lookupCachedSource(sourceKey);
+  if (cached) {
+    console.log(`[Ingest] Cache hit for ${sourceKey}`);
+    return Promise.resolve({ ...cached, cached: true });
+  }
+  // Concurrent requests for the same source share one download.
+  if (!inflightDownloads.has(sourceKey)) {
+    inflightDownloads.set(sourceKey, fetcher().finally(() => inflightDownloads.delete(sourceKey)));
+  }
+  return inflightDownloads.get(sourceKey);
+};
+
+// Resolves `source` (or, when it is empty, the request's uploaded file) to a
+// local, read-only path in the media cache. Handlers must not modify it.
+// `resolver` is 'auto' (default), 'direct' or 'yt-dlp'. A `mediaId` returned
+// by an earlier request reuses that cached object without fetching anything.
+const ingestMedia = async (ctx, source, { resolver = 'auto', mediaId } = {}) => {
+  ctx.throwIfCancelled();
+  // Pipeline steps without a source of their own use the pipeline's.
+  if (mediaId === undefined && !source && !ctx.uploadedFile && ctx.sourceMediaId) mediaId = ctx.sourceMediaId;
+  let entry;
+  if (mediaId !== undefined) {
+    if (typeof mediaId !== 'string' || !/^[a-f0-9]{64}$/.test(mediaId)) {
+      throw createError(400, '"mediaId" must be the 64-character id returned by an earlier request.');
+    }
+    if (!fs.existsSync(cacheObjectPath(mediaId))) {
+      throw createError(404, `Media "${mediaId}" is no longer cached; send the source URL again.`);
+    }
+    entry = { mediaId, size: fs.statSync(cacheObjectPath(mediaId)).size };
+  } else if (!source && ctx.uploadedFile) {
+    const { path: uploadPath, originalname } = ctx.uploadedFile;
+    console.log(`[Ingest] Storing uploaded file ${originalname}`);
+    entry = await commitToCache(uploadPath, await hashFile(uploadPath), null);
+    ctx.uploadedFile = null;
+  } else if (typeof source !== 'string' || !source) {
+    throw createError(400, 'A media source URL or an uploaded "file" is required.');
+  } else {
+    try {
+      if (source.startsWith('gs://')) {
+        entry = await fetchGcsObject(source);
+      } else if (resolver === 'yt-dlp') {
+        entry = await fetchSource(`yt-dlp:${source}`, () => fetchWithYtDlp(source));
+      } else {
+        assertFetchableUrl(source);
+        entry = await fetchSource(source, () => fetchHttp(source, { resolver }));
+      }
+    } catch (error) {
+      throw tagError(error, 'DOWNLOAD_FAILED');
+    }
+  }
+  ctx.throwIfCancelled();
+  pinMedia(entry.mediaId, ctx);
+  return { path: cacheObjectPath(entry.mediaId), mediaId: entry.mediaId, size: entry.size };
+};
+
+// Multipart requests carry every field as a string; decode the JSON-looking
+// ones so handlers see the same body shape as for application/json.
+const parseMultipartFields = (body) => {
+  Object.keys(body).forEach((key) => {
+    const value = body[key];
+    if (typeof value !== 'string' || !/^\s*([[{]|true$|false$|-?\d)/.test(value)) return;
+    try {
+      body[key] = JSON.parse(value);
+    } catch (error) {
+      // Leave plain strings such as URLs untouched.
+    }
+  });
+  return body;
+};
+
+const receiveUpload = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return sendError(res, 413, 'PAYLOAD_TOO_LARGE', `Upload failed: ${err.message}`);
+    sendError(res, 400, 'VALIDATION_FAILED', `Upload failed: ${err.message}`);
+  });
+};
+
+
+// =================================================================
+// === MEDIA PROBING                                            ===
+// =================================================================
+const probeMedia = (filePath) => new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, data) => {
+        if (err) return reject(tagError(new Error(`ffprobe error: ${err.message}`), 'FFMPEG_FAILED'));
+        resolve(data);
+    });
+});
+
+// Clockwise display rotation in degrees (0, 90, 180 or 270). The display
+// matrix side data stores the counter-clockwise angle; the legacy `rotate`
+// tag the clockwise one.
+const streamRotation = (stream) => {
+  const sideData = (stream.side_data_list || []).find(entry => entry.rotation !== undefined);
+  let degrees = 0;
+  if (sideData) degrees = -Number(sideData.rotation);
+  else if (stream.rotation !== undefined) degrees = -Number(stream.rotation);
+  else if (stream.tags && stream.tags.rotate !== undefined) degrees = Number(stream.tags.rotate);
+  return ((Math.round((degrees || 0) / 90) * 90) % 360 + 360) % 360;
+};
+
+// ffmpeg rotates frames on decode, so filters see the display dimensions:
+// width and height are swapped for 90/270 degree phone video.
+const getVideoDimensions = async (filePath) => {
+    const metadata = await probeMedia(filePath);
+    const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+    if (!videoStream || !videoStream.width || !videoStream.height) {
+        throw new Error("Could not determine video dimensions.");
+    }
+    const rotated = streamRotation(videoStream) % 180 !== 0;
+    return {
+        width: rotated ? videoStream.height : videoStream.width,
+        height: rotated ? videoStream.width : videoStream.height,
+        duration: parseFloat(metadata.format.duration) || 0,
+    };
+};
+
+// fluent-ffmpeg reads the same environment variables for the binaries it runs.
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Lists the packets of the first video stream in presentation order. Reading
+// packets needs no decoding, so this is cheap even for long videos.
+const probeVideoPackets = async (filePath) => {
+    const { stdout } = await execFileAsync(FFPROBE_PATH, [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-show_entries', 'packet=pts_time,flags',
+        '-of', 'csv=p=0',
+        filePath,
+    ], { maxBuffer: 256 * 1024 * 1024 }).catch(error => { throw tagError(error, 'FFMPEG_FAILED'); });
+    return stdout.split('\n')
+        .map(line => line.trim().split(','))
+        .filter(([time]) => time && time !== 'N/A')
+        .map(([time, flags = '']) => ({ time: parseFloat(time), keyframe: flags.includes('K') }))
+        .sort((a, b) => a.time - b.time);
+};
+
+// Full ffprobe JSON, including chapters and stream side data (display
+// matrix, HDR mastering metadata) that fluent-ffmpeg's ffprobe leaves out.
+const probeMediaDetailed = async (filePath) => {
+    const { stdout } = await execFileAsync(FFPROBE_PATH, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format', '-show_streams', '-show_chapters',
+        filePath,
+    ], { maxBuffer: 64 * 1024 * 1024 }).catch(error => { throw tagError(error, 'FFMPEG_FAILED'); });
+    return JSON.parse(stdout);
+};
+
+
+// =================================================================
+// === ROUTE 1: GET MEDIA METADATA                           ===
+// =================================================================
+// ffprobe reports numbers as strings (or "N/A") in its JSON output.
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === 'N/A' || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+const HDR_TRANSFERS = { smpte2084: 'HDR10', 'arib-std-b67': 'HLG' };
+
+const findSideData = (stream, type) => (stream.side_data_list || []).find(entry => entry.side_data_type === type) || null;
+
+const describeStream = (stream) => {
+  const tags = stream.tags || {};
+  const described = {
+    index: stream.index,
+    type: stream.codec_type,
+    codec: stream.codec_name || null,
+    codec_long_name: stream.codec_long_name || null,
+    profile: stream.profile || null,
+    bit_rate: toNumber(stream.bit_rate),
+    duration: toNumber(stream.duration),
+    language: tags.language || null,
+    title: tags.title || null,
+    disposition: Object.keys(stream.disposition || {}).filter(key => stream.disposition[key] === 1),
+    tags,
+  };
+
+  if (stream.codec_type === 'video') {
+    const rotation = streamRotation(stream);
+    const rotated = rotation % 180 !== 0;
+    const masteringDisplay = findSideData(stream, 'Mastering display metadata');
+    const contentLight = findSideData(stream, 'Content light level metadata');
+    const dolbyVision = findSideData(stream, 'DOVI configuration record');
+    Object.assign(described, {
+      width: stream.width,
+      height: stream.height,
+      rotation,
+      display_width: rotated ? stream.height : stream.width,
+      display_height: rotated ? stream.width : stream.height,
+      level: stream.level === undefined ? null : stream.level,
+      pix_fmt: stream.pix_fmt || null,
+      bits_per_raw_sample: toNumber(stream.bits_per_raw_sample),
+      sample_aspect_ratio: stream.sample_aspect_ratio || null,
+      display_aspect_ratio: stream.display_aspect_ratio || null,
+      field_order: stream.field_order || null,
+      r_frame_rate: stream.r_frame_rate,
+      avg_frame_rate: stream.avg_frame_rate,
+      nb_frames: toNumber(stream.nb_frames),
+      color: {
+        range: stream.color_range || null,
+        space: stream.color_space || null,
+        primaries: stream.color_primaries || null,
+        transfer: stream.color_transfer || null,
+      },
+      hdr: dolbyVision ? 'Dolby Vision' : (HDR_TRANSFERS[stream.color_transfer] || null),
+      mastering_display: masteringDisplay,
+      content_light_level: contentLight ? { max_content: contentLight.max_content, max_average: contentLight.max_average } : null,
+    });
+  } else if (stream.codec_type === 'audio') {
+    Object.assign(described, {
+      sample_rate: toNumber(stream.sample_rate),
+      sample_fmt: stream.sample_fmt || null,
+      channels: stream.channels,
+      channel_layout: stream.channel_layout || null,
+      bits_per_raw_sample: toNumber(stream.bits_per_raw_sample),
+    });
+  }
+  return described;
+};
+
+// Keyframe timestamps plus GOP length statistics, in seconds and frames.
+const analyzeKeyframes = (packets) => {
+  const keyframeIndices = [];
+  packets.forEach((packet, i) => { if (packet.keyframe) keyframeIndices.push(i); });
+  const gops = keyframeIndices.map((index, i) => {
+    const nextIndex = i + 1 < keyframeIndices.length ? keyframeIndices[i + 1] : packets.length;
+    const nextTime = i + 1 < keyframeIndices.length ? packets[nextIndex].time : null;
+    return { frames: nextIndex - index, seconds: nextTime === null ? null : nextTime - packets[index].time };
+  });
+  // The last GOP runs to the end of the stream, so it is excluded from the
+  // interval statistics.
+  const complete = gops.filter(gop => gop.seconds !== null);
+  const round = value => Number(value.toFixed(4));
+  return {
+    count: keyframeIndices.length,
+    timestamps: keyframeIndices.map(index => round(packets[index].time)),
+    gop: complete.length === 0 ? null : {
+      min_seconds: round(Math.min(...complete.map(gop => gop.seconds))),
+      max_seconds: round(Math.max(...complete.map(gop => gop.seconds))),
+      average_seconds: round(complete.reduce((sum, gop) => sum + gop.seconds, 0) / complete.length),
+      min_frames: Math.min(...complete.map(gop => gop.frames)),
+      max_frames: Math.max(...complete.map(gop => gop.frames)),
+      fixed: Math.min(...complete.map(gop => gop.frames)) === Math.max(...complete.map(gop => gop.frames)),
+    },
+  };
+};
+
+// A stream is reported as variable frame rate when more than 1% of its frame
+// durations differ from the median duration by over 5%.
+const analyzeFrameRate = (packets) => {
+  const durations = [];
+  for (let i = 1; i < packets.length; i++) {
+    const duration = packets[i].time - packets[i - 1].time;
+    if (duration > 0) durations.push(duration);
+  }
+  if (durations.length === 0) return null;
+  const sorted = [...durations].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const deviating = durations.filter(duration => Math.abs(duration - median) / median > 0.05).length;
+  const round = value => Number(value.toFixed(3));
+  return {
+    variable: deviating / durations.length > 0.01,
+    min_fps: round(1 / sorted[sorted.length - 1]),
+    max_fps: round(1 / sorted[0]),
+    median_fps: round(1 / median),
+    average_fps: round(durations.length / durations.reduce((sum, duration) => sum + duration, 0)),
+  };
+};
+
+defineProcessingRoute('/get-media-metadata', {
+    tag: 'Metadata',
+    tempPrefix: 'metadata',
+    errorMessage: 'Failed to get media metadata.',
+    validate: (body, file) => {
+        if (!body.videoUrl && !file && !body.mediaId) {
+            return 'Request body must include "videoUrl", a "mediaId" from an earlier request, or an uploaded "file".';
+        }
+        if (body.keyframes !== undefined && typeof body.keyframes !== 'boolean') {
+            return '"keyframes" must be a boolean.';
+        }
+        if (body.detectVfr !== undefined && typeof body.detectVfr !== 'boolean') {
+            return '"detectVfr" must be a boolean.';
+        }
+        return null;
+    },
+    handler: async (body, ctx) => {
+        console.log('[Metadata] Received request for full media specs.');
+        const { path: localVideoPath, mediaId } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver, mediaId: body.mediaId });
+
+        const metadata = await probeMediaDetailed(localVideoPath);
+        const streams = (metadata.streams || []).map(describeStream);
+        const format = metadata.format || {};
+
+        const videoStream = streams.find(s => s.type === 'video');
+        const audioStream = streams.find(s => s.type === 'audio');
+        const result = {
+            format: {
+                duration: toNumber(format.duration),
+                size_bytes: toNumber(format.size),
+                bit_rate: toNumber(format.bit_rate),
+                format_name: format.format_name || null,
+                format_long_name: format.format_long_name || null,
+                start_time: toNumber(format.start_time),
+                tags: format.tags || {},
+            },
+            video_stream: videoStream ? { codec: videoStream.codec, width: videoStream.display_width, height: videoStream.display_height, rotation: videoStream.rotation, avg_frame_rate: videoStream.avg_frame_rate, nb_frames: videoStream.nb_frames } : null,
+            audio_stream: audioStream ? { codec: audioStream.codec, sample_rate: audioStream.sample_rate, channels: audioStream.channels, channel_layout: audioStream.channel_layout } : null,
+            subtitle_streams: streams.filter(s => s.type === 'subtitle').map((s, i) => ({
+                index: i,
+                codec: s.codec,
+                language: s.language,
+                title: s.title,
+                default: s.disposition.includes('default'),
+                forced: s.disposition.includes('forced'),
+            })),
+            streams,
+            chapters: (metadata.chapters || []).map(chapter => ({
+                id: chapter.id,
+                start: toNumber(chapter.start_time),
+                end: toNumber(chapter.end_time),
+                title: (chapter.tags && chapter.tags.title) || null,
+            })),
+        };
+
+        if (videoStream && (body.keyframes || body.detectVfr)) {
+            console.log('[Metadata] Running deep analysis of video packets...');
+            const packets = await probeVideoPackets(localVideoPath);
+            if (body.keyframes) result.keyframes = analyzeKeyframes(packets);
+            if (body.detectVfr) result.frame_rate = analyzeFrameRate(packets);
+        }
+
+        console.log('[Metadata] Successfully extracted full media specs.');
+        return { success: true, mediaId, metadata: result };
+    },
+});
+
+
+// =================================================================
+// === ROUTE 2: AUDIO EXTRACTION API (URL-based)               ===
+// =================================================================
+const validateLoudnessTarget = (normalize) => {
+  if (normalize === undefined || typeof normalize === 'boolean') return null;
+  if (typeof normalize !== 'object' || normalize === null) {
+    return '"normalize" must be true or an object with "targetLufs", "truePeak" and "lra".';
+  }
+  const { targetLufs, truePeak, lra } = normalize;
+  if (targetLufs !== undefined && !(typeof targetLufs === 'number' && targetLufs >= -70 && targetLufs <= -5)) {
+    return '"normalize.targetLufs" must be between -70 and -5.';
+  }
+  if (truePeak !== undefined && !(typeof truePeak === 'number' && truePeak >= -9 && truePeak <= 0)) {
+    return '"normalize.truePeak" must be between -9 and 0 dBTP.';
+  }
+  if (lra !== undefined && !(typeof lra === 'number' && lra >= 1 && lra <= 50)) {
+    return '"normalize.lra" must be between 1 and 50 LU.';
+  }
+  return null;
+};
+
+defineProcessingRoute('/extract-audio', {
+    tag: 'Audio',
+    tempPrefix: 'audio',
+    errorMessage: 'Failed to process and upload audio file.',
+    validate: (body, file) => {
+        if (!body.videoUrl && !file) {
+            return 'Request body must include "videoUrl" or an uploaded "file".';
+        }
+        if (body.format !== undefined && !Object.hasOwn(AUDIO_OUTPUT_FORMATS, body.format)) {
+            return `"format" must be one of: ${Object.keys(AUDIO_OUTPUT_FORMATS).join(', ')}.`;
+        }
+        return validateLoudnessTarget(body.normalize);
+    },
+    handler: async (body, ctx) => {
+        console.log('[Audio] Received request to extract audio.');
+        const outputFormat = AUDIO_OUTPUT_FORMATS[body.format || 'm4a'];
+        const tempAudioOutputPath = path.join(ctx.tempDir, `audio.${outputFormat.extension}`);
+
+        const { path: localVideoPath } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver });
+        ctx.setProgress(10);
+
+        const audioFilters = [];
+        if (body.normalize) {
+            // Two-pass loudnorm: measure first, then apply a linear gain using
+            // those measurements. loudnorm resamples to 192 kHz, so resample
+            // back to the source rate afterwards.
+            const target = { ...DEFAULT_LOUDNESS_TARGET, ...(typeof body.normalize === 'object' ? body.normalize : {}) };
+            console.log(`[Audio] Measuring loudness for normalization to ${target.targetLufs} LUFS...`);
+            const { loudness } = await measureAudio(ctx, localVideoPath, { target, progress: [10, 50] });
+            const audioStream = (await probeMedia(localVideoPath)).streams.find(s => s.codec_type === 'audio');
+            audioFilters.push(
+                `loudnorm=${loudnormTarget(target)}:measured_I=${loudness.integrated}:measured_TP=${loudness.truePeak}`
+                + `:measured_LRA=${loudness.range}:measured_thresh=${loudness.threshold}:offset=${loudness.targetOffset}:linear=true`,
+                `aresample=${(audioStream && audioStream.sample_rate) || 48000}`,
+            );
+        }
+
+        await new Promise((resolve, reject) => {
+            ctx.track(ffmpeg(localVideoPath).noVideo(), { progress: [ctx.progress, 90] })
+                .audioFilters(audioFilters)
+                .outputOptions(outputFormat.options)
+                .on('error', (err) => reject(new Error(`FFmpeg error: ${err.message}`)))
+                .on('end', resolve)
+                .save(tempAudioOutputPath);
+        });
+        ctx.throwIfCancelled();
+
+        const audioUrl = await uploadOutput(tempAudioOutputPath, `audio/${Date.now()}-audio.${outputFormat.extension}`, ctx);
+
+        console.log('[Audio] Upload to storage successful.');
+        return { success: true, audioUrl };
+    },
+});
+
+
+// =================================================================
+// === ROUTE 3: KEYFRAME EXTRACTION API (SINGLE PASS)          ===
+// =================================================================
+const formatTimestampForFilename = (timeInSeconds, totalDuration) => {
+  const integerPadding = Math.floor(totalDuration).toString().length;
+  const parts = timeInSeconds.toFixed(3).split('.');
+  const seconds = parts[0].padStart(integerPadding, '0');
+  const milliseconds = parts[1];
+  return `${seconds}-${milliseconds}`;
+};
+
+const formatVttTimestamp = (timeInSeconds) => {
+  const totalMs = Math.round(timeInSeconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(totalMs % 1000, 3)}`;
+};
+
+// Output encoder options per frame format; `quality` is 1-100.
+const FRAME_FORMATS = {
+  jpg: (quality) => (quality ? ['-q:v', String(Math.round(31 - (quality / 100) * 29))] : []),
+  png: () => [],
+  webp: (quality) => ['-quality', String(quality || 75)],
+};
+
+// Intervals shorter than one frame at 25 fps only produce duplicates, and
+// every requested frame costs a select term and a file, so both are bounded.
+const MIN_FRAME_INTERVAL = 0.04;
+const MAX_EXTRACTED_FRAMES = 5000;
+const MAX_SPRITE_GRID = 20;
+const MAX_SPRITE_WIDTH = 640;
+
+// Slack for comparing frame timestamps against requested times, so float
+// rounding never pushes a frame that sits exactly on a time past it.
+const FRAME_TIME_EPSILON = 0.0005;
+
+// Decodes the video once and keeps the first frame at or after every time in
+// `at`, plus every multiple of each step in `every`. Resolves with a lookup
+// `(time) => framePath | null` over the frames that were written.
+const extractFrames = async (ctx, localVideoPath, { at = [], every = [], format = 'jpg', quality, maxWidth, progress }) => {
+    const framesDir = path.join(ctx.tempDir, 'frames');
+    ensureDirExists(framesDir);
+
+    const afterPrevious = (time) => `if(isnan(prev_t),1,lt(prev_t,${time}))`;
+    const terms = [
+        ...every.map(step => `if(isnan(prev_t),1,gt(floor((t+${FRAME_TIME_EPSILON})/${step}),floor((prev_t+${FRAME_TIME_EPSILON})/${step})))`),
+        ...[...new Set(at)].map(time => `gte(t,${time - FRAME_TIME_EPSILON})*${afterPrevious(time - FRAME_TIME_EPSILON)}`),
+    ];
+    if (terms.length === 0) return () => null;
+
+    const filters = [`select='${terms.join('+')}'`, 'showinfo'];
+    if (maxWidth) filters.push(`scale='min(iw,${maxWidth})':-2`);
+    // Thousands of select terms are too long for a command line.
+    const filterScriptPath = path.join(ctx.tempDir, 'frames.filter');
+    fs.writeFileSync(filterScriptPath, filters.join(','));
+
+    const frameTimes = [];
+    await new Promise((resolve, reject) => {
+        ctx.track(ffmpeg(localVideoPath), { progress })
+            .outputOptions(['-filter_script:v', filterScriptPath, '-vsync', 'vfr', ...FRAME_FORMATS[format](quality)])
+            .output(path.join(framesDir, `frame_%06d.${format}`))
+            .on('stderr', (line) => {
+                const match = /Parsed_showinfo.*\bpts_time:\s*(-?[\d.]+)/.exec(line);
+                if (match) frameTimes.push(parseFloat(match[1]));
+            })
+            .on('end', resolve)
+            .on('error', (err) => reject(new Error(`FFmpeg frame extraction error: ${err.message}`)))
+            .run();
+    });
+
+    const frames = frameTimes
+        .map((time, index) => ({ time, file: path.join(framesDir, `frame_${String(index + 1).padStart(6, '0')}.${format}`) }))
+        .filter(frame => fs.existsSync(frame.file));
+    return (time) => {
+        const frame = frames.find(candidate => candidate.time >= time - FRAME_TIME_EPSILON);
+        return frame ? frame.file : null;
+    };
+};
+
+// Tiles thumbnails into sprite sheets and writes the matching WebVTT track,
+// whose cues point at `#xywh=` regions of the uploaded sheets.
+const buildThumbnailSprites = async (ctx, thumbnails, { columns, rows, width, height, duration, destinationPrefix }) => {
+    const spriteDir = path.join(ctx.tempDir, 'sprites');
+    const sourceDir = path.join(spriteDir, 'source');
+    ensureDirExists(sourceDir);
+    const ext = path.extname(thumbnails[0].file);
+    thumbnails.forEach((thumb, index) => {
+        fs.copyFileSync(thumb.file, path.join(sourceDir, `${String(index + 1).padStart(6, '0')}${ext}`));
+    });
+
+    await new Promise((resolve, reject) => {
+        ctx.track(ffmpeg(path.join(sourceDir, `%06d${ext}`)))
+            .inputOptions(['-start_number', '1'])
+            .videoFilter(`scale=${width}:${height},tile=${columns}x${rows}`)
+            .outputOptions(['-q:v', '4'])
+            .output(path.join(spriteDir, 'sprite_%03d.jpg'))
+            .on('end', resolve)
+            .on('error', (err) => reject(new Error(`FFmpeg sprite error: ${err.message}`)))
+            .run();
+    });
+
+    const spriteFiles = fs.readdirSync(spriteDir).filter(f => /^sprite_\d+\.jpg$/.test(f)).sort();
+    const spriteUrls = await Promise.all(spriteFiles.map(filename =>
+        uploadOutput(path.join(spriteDir, filename), `${destinationPrefix}/${filename}`, ctx)));
+
+    const perSheet = columns * rows;
+    const cues = thumbnails.map((thumb, index) => {
+        const position = index % perSheet;
+        const x = (position % columns) * width;
+        const y = Math.floor(position / columns) * height;
+        const end = index + 1 < thumbnails.length ? thumbnails[index + 1].time : duration;
+        return `${formatVttTimestamp(thumb.time)} --> ${formatVttTimestamp(end)}\n${spriteUrls[Math.floor(index / perSheet)]}#xywh=${x},${y},${width},${height}`;
+    });
+    const vttPath = path.join(spriteDir, 'thumbnails.vtt');
+    fs.writeFileSync(vttPath, `WEBVTT\n\n${cues.join('\n\n')}\n`);
+    const thumbnailsVttUrl = await uploadOutput(vttPath, `${destinationPrefix}/thumbnails.vtt`, ctx);
+
+    return { spriteUrls, thumbnailsVttUrl };
+};
+
+defineProcessingRoute('/extract-keyframes', {
+    tag: 'Keyframes',
+    tempPrefix: 'keyframes',
+    errorMessage: 'Failed to process keyframes.',
+    validate: (body, file) => {
+        const { videoUrl, shots, total_duration, autoDetect, interval, format, quality, maxWidth, sprites } = body;
+        if ((!videoUrl && !file) || (!autoDetect && (!shots || !Array.isArray(shots) || !total_duration))) {
+            return 'Request body must include "videoUrl" (or an uploaded "file"), and either "shots" array and "total_duration" or "autoDetect": true.';
+        }
+        if (shots !== undefined && !Array.isArray(shots)) {
+            return '"shots" must be an array.';
+        }
+        const badShot = (shots || []).findIndex(shot => !(shot && typeof shot.startTime === 'number' && typeof shot.endTime === 'number'
+            && shot.startTime >= 0 && shot.startTime <= shot.endTime));
+        if (badShot !== -1) {
+            return `shots[${badShot}] must have numeric "startTime" and "endTime" seconds with 0 <= startTime <= endTime.`;
+        }
+        if (total_duration !== undefined && !(typeof total_duration === 'number' && total_duration > 0)) {
+            return '"total_duration" must be a positive number of seconds.';
+        }
+        if (interval !== undefined && !(typeof interval === 'number' && (interval === 0 || interval >= MIN_FRAME_INTERVAL))) {
+            return `"interval" must be at least ${MIN_FRAME_INTERVAL} seconds, or 0 to disable interval frames.`;
+        }
+        if (format !== undefined && !Object.hasOwn(FRAME_FORMATS, format)) {
+            return `"format" must be one of: ${Object.keys(FRAME_FORMATS).join(', ')}.`;
+        }
+        if (quality !== undefined && !(quality >= 1 && quality <= 100)) {
+            return '"quality" must be between 1 and 100.';
+        }
+        if (maxWidth !== undefined && !(Number.isInteger(maxWidth) && maxWidth > 0)) {
+            return '"maxWidth" must be a positive integer.';
+        }
+        if (sprites !== undefined && typeof sprites !== 'boolean' && (typeof sprites !== 'object' || sprites === null)) {
+            return '"sprites" must be true or an object with "interval", "columns", "rows" and "width".';
+        }
+        if (sprites && typeof sprites === 'object') {
+            if (sprites.interval !== undefined && !(typeof sprites.interval === 'number' && sprites.interval >= MIN_FRAME_INTERVAL)) {
+                return `"sprites.interval" must be at least ${MIN_FRAME_INTERVAL} seconds.`;
+            }
+            for (const field of ['columns', 'rows']) {
+                if (sprites[field] !== undefined && !(Number.isInteger(sprites[field]) && sprites[field] >= 1 && sprites[field] <= MAX_SPRITE_GRID)) {
+                    return `"sprites.${field}" must be an integer between 1 and ${MAX_SPRITE_GRID}.`;
+                }
+            }
+            if (sprites.width !== undefined && !(Number.isInteger(sprites.width) && sprites.width >= 16 && sprites.width <= MAX_SPRITE_WIDTH)) {
+                return `"sprites.width" must be an integer between 16 and ${MAX_SPRITE_WIDTH}.`;
+            }
+        }
+        return validateSceneDetectionOptions(body);
+    },
+    handler: async (body, ctx) => {
+        console.log('[Keyframes] Received request.');
+        const { format = 'jpg', quality, maxWidth, shotBoundariesOnly = false } = body;
+        let { shots, total_duration } = body;
+        const interval = shotBoundariesOnly ? 0 : (body.interval === undefined ? 0.5 : body.interval);
+        const spriteOptions = body.sprites
+            ? { interval: 2, columns: 10, rows: 10, width: 160, ...(typeof body.sprites === 'object' ? body.sprites : {}) }
+            : null;
+        const tempDir = ctx.tempDir;
+
+        const { path: localVideoPath } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver });
+        ctx.setProgress(10);
+
+        if (body.autoDetect && !(Array.isArray(shots) && shots.length > 0)) {
+            console.log('[Keyframes] No shots supplied, detecting scenes...');
+            const detection = await detectScenes(ctx, localVideoPath, { threshold: body.threshold, minShotLength: body.minShotLength, progress: [10, 30] });
+            shots = detection.shots;
+            total_duration = total_duration || detection.total_duration;
+        }
+        if (!total_duration) {
+            total_duration = parseFloat((await probeMedia(localVideoPath)).format.duration);
+        }
+        const frameCount = shots.length * 2
+            + (interval > 0 ? Math.ceil(total_duration / interval) : 0)
+            + (spriteOptions ? Math.ceil(total_duration / spriteOptions.interval) : 0);
+        if (!(frameCount <= MAX_EXTRACTED_FRAMES)) {
+            throw createError(400, `Request would extract ${frameCount} frames; the limit is ${MAX_EXTRACTED_FRAMES}. Use a longer "interval" or "sprites.interval".`);
+        }
+
+        // Every frame we want, keyed by its output filename.
+        const wantedFrames = [];
+        shots.forEach((shot, i) => {
+            const shotNumber = i + 1;
+            wantedFrames.push({ time: shot.startTime, filename: `${formatTimestampForFilename(shot.startTime, total_duration)}_shot-${shotNumber}_start.${format}` });
+            wantedFrames.push({ time: shot.endTime, filename: `${formatTimestampForFilename(shot.endTime, total_duration)}_shot-${shotNumber}_end.${format}` });
+        });
+        if (interval > 0) {
+            for (let step = 1; step * interval < total_duration; step++) {
+                const timeInSeconds = step * interval;
+                wantedFrames.push({ time: timeInSeconds, filename: `${formatTimestampForFilename(timeInSeconds, total_duration)}_interval.${format}` });
+            }
+        }
+
+        console.log(`[Keyframes] Extracting ${wantedFrames.length} frames in a single pass (interval: ${interval || 'off'})...`);
+        const frameAt = await extractFrames(ctx, localVideoPath, {
+            at: shots.flatMap(shot => [shot.startTime, shot.endTime]),
+            every: [interval, spriteOptions && spriteOptions.interval].filter(step => step > 0),
+            format,
+            quality,
+            maxWidth,
+            progress: [ctx.progress, 80],
+        });
+        ctx.throwIfCancelled();
+
+        const generatedFiles = [];
+        wantedFrames.forEach(({ time, filename }) => {
+            const frameFile = frameAt(time);
+            if (!frameFile) {
+                console.warn(`[Keyframes] No frame found at ${time}s, skipping ${filename}.`);
+                return;
+            }
+            fs.copyFileSync(frameFile, path.join(tempDir, filename));
+            generatedFiles.push(filename);
+        });
+        generatedFiles.sort();
+        console.log(`[Keyframes] Found ${generatedFiles.length} frames to upload.`);
+
+        const keyframeUrls = await Promise.all(generatedFiles.map(filename =>
+            uploadOutput(path.join(tempDir, filename), `keyframes/${filename}`, ctx)));
+        const result = { success: true, keyframeUrls: keyframeUrls };
+
+        if (spriteOptions) {
+            console.log('[Keyframes] Building sprite sheets and WebVTT thumbnail track...');
+            const { width: videoWidth, height: videoHeight } = await getVideoDimensions(localVideoPath);
+            const thumbnails = [];
+            for (let step = 0; step * spriteOptions.interval < total_duration; step++) {
+                const time = step * spriteOptions.interval;
+                const file = frameAt(time);
+                if (file) thumbnails.push({ time, file });
+            }
+            if (thumbnails.length > 0) {
+                Object.assign(result, await buildThumbnailSprites(ctx, thumbnails, {
+                    columns: spriteOptions.columns,
+                    rows: spriteOptions.rows,
+                    width: spriteOptions.width,
+                    height: Math.round((spriteOptions.width * videoHeight) / videoWidth / 2) * 2,
+                    duration: total_duration,
+                    destinationPrefix: `keyframes/sprites/${Date.now()}`,
+                }));
+            }
+        }
+
+        return result;
+    },
+});
+
+
+// =================================================================
+// === ROUTE 4: RECOMBINE AUDIO STEMS API                        ===
+// =================================================================
+const AUDIO_OUTPUT_FORMATS = {
+  wav: { extension: 'wav', options: ['-c:a', 'pcm_s16le'] },
+  flac: { extension: 'flac', options: ['-c:a', 'flac'] },
+  m4a: { extension: 'm4a', options: ['-c:a', 'aac', '-b:a', '256k', '-movflags', '+faststart'] },
+  mp3: { extension: 'mp3', options: ['-c:a', 'libmp3lame', '-q:a', '0'] },
+};
+// The fixed stems older clients send as top-level "<name>Url" fields.
+const LEGACY_STEM_NAMES = ['drums', 'bass', 'other', 'vocals'];
+const VIDEO_AUDIO_MODES = ['replace', 'add'];
+
+const validateStems = (stems) => {
+  if (!Array.isArray(stems) || stems.length === 0) {
+    return 'Request body must include a non-empty "stems" array (or "drumsUrl", "bassUrl", "otherUrl").';
+  }
+  for (let i = 0; i < stems.length; i++) {
+    const { url, gainDb, pan, mute, offset } = stems[i] || {};
+    if (typeof url !== 'string' || !url) return `stems[${i}].url must be a URL.`;
+    if (gainDb !== undefined && typeof gainDb !== 'number') return `stems[${i}].gainDb must be a number of dB.`;
+    if (pan !== undefined && !(typeof pan === 'number' && pan >= -1 && pan <= 1)) return `stems[${i}].pan must be between -1 (left) and 1 (right).`;
+    if (mute !== undefined && typeof mute !== 'boolean') return `stems[${i}].mute must be a boolean.`;
+    if (offset !== undefined && !(typeof offset === 'number' && offset >= 0)) return `stems[${i}].offset must be a non-negative number of seconds.`;
+  }
+  if (stems.every(stem => stem.mute)) return 'At least one stem must be unmuted.';
+  return null;
+};
+
+const stemsFromBody = (body) => (Array.isArray(body.stems)
+  ? body.stems
+  : LEGACY_STEM_NAMES.filter(name => body[`${name}Url`]).map(name => ({ name, url: body[`${name}Url`] })));
+
+// Per-stem chain: delay by the start offset, apply gain, then a linear
+// balance pan on a stereo copy of the stem.
+const buildStemFilter = (stem, inputIndex) => {
+  const pan = stem.pan || 0;
+  const left = pan > 0 ? 1 - pan : 1;
+  const right = pan < 0 ? 1 + pan : 1;
+  const chain = ['aformat=channel_layouts=stereo'];
+  if (stem.offset) chain.push(`adelay=delays=${Math.round(stem.offset * 1000)}:all=1`);
+  if (stem.gainDb) chain.push(`volume=${stem.gainDb}dB`);
+  if (pan) chain.push(`pan=stereo|c0=${left}*c0|c1=${right}*c1`);
+  return `[${inputIndex}:a]${chain.join(',')}[s${inputIndex}]`;
+};
+
+defineProcessingRoute('/recombine-stems', {
+    tag: 'Recombine',
+    tempPrefix: 'recombine',
+    errorMessage: 'Failed to process audio stems.',
+    validate: (body) => {
+        const { format, sampleRate, normalize, videoUrl, videoAudioMode } = body;
+        if (!Array.isArray(body.stems) && !(body.drumsUrl && body.bassUrl && body.otherUrl)) {
+            return 'Request body must include a "stems" array, or "drumsUrl", "bassUrl", and "otherUrl".';
+        }
+        const stemsError = validateStems(stemsFromBody(body));
+        if (stemsError) return stemsError;
+        if (format !== undefined && !Object.hasOwn(AUDIO_OUTPUT_FORMATS, format)) {
+            return `"format" must be one of: ${Object.keys(AUDIO_OUTPUT_FORMATS).join(', ')}.`;
+        }
+        if (sampleRate !== undefined && !(Number.isInteger(sampleRate) && sampleRate >= 8000 && sampleRate <= 192000)) {
+            return '"sampleRate" must be an integer between 8000 and 192000.';
+        }
+        if (normalize !== undefined && typeof normalize !== 'boolean') {
+            return '"normalize" must be a boolean.';
+        }
+        if (videoUrl !== undefined && typeof videoUrl !== 'string') {
+            return '"videoUrl" must be a URL.';
+        }
+        if (videoAudioMode !== undefined && !VIDEO_AUDIO_MODES.includes(videoAudioMode)) {
+            return `"videoAudioMode" must be one of: ${VIDEO_AUDIO_MODES.join(', ')}.`;
+        }
+        return null;
+    },
+    handler: async (body, ctx) => {
+        console.log('[Recombine] Received request.');
+        const { format = 'wav', sampleRate, normalize = true, videoUrl, videoAudioMode = 'replace' } = body;
+        const outputFormat = AUDIO_OUTPUT_FORMATS[format];
+        const stems = stemsFromBody(body).filter(stem => !stem.mute);
+        const soundscapePath = path.join(ctx.tempDir, `soundscape.${outputFormat.extension}`);
+
+        console.log(`[Recombine] Downloading ${stems.length} stems...`);
+        const stemPaths = (await Promise.all(stems.map(stem => ingestMedia(ctx, stem.url, { resolver: 'direct' }))))
+            .map(media => media.path);
+        ctx.setProgress(20);
+
+        // amix divides every input by the input count unless told not to;
+        // with normalize on we keep unity gain and catch overs with a limiter.
+        const filters = stems.map((stem, i) => buildStemFilter(stem, i));
+        const mixInputs = stems.map((stem, i) => `[s${i}]`).join('');
+        const mixChain = [`amix=inputs=${stems.length}:duration=longest:normalize=0`];
+        if (normalize) mixChain.push('alimiter=limit=0.97:level=disabled');
+        filters.push(`${mixInputs}${mixChain.join(',')}[mix]`);
+
+        console.log('[Recombine] Mixing stems...');
+        await new Promise((resolve, reject) => {
+            const command = ffmpeg();
+            stemPaths.forEach(stemPath => command.input(stemPath));
+            ctx.track(command, { progress: [20, videoUrl ? 60 : 90] })
+                .complexFilter(filters)
+                .outputOptions(['-map', '[mix]', ...outputFormat.options, ...(sampleRate ? ['-ar', String(sampleRate)] : [])])
+                .on('end', resolve)
+                .on('error', (err) => reject(new Error(`FFmpeg mixdown error: ${err.message}`)))
+                .save(soundscapePath);
+        });
+        ctx.throwIfCancelled();
+
+        const soundscapeUrl = await uploadOutput(soundscapePath, `soundscapes/${Date.now()}-soundscape.${outputFormat.extension}`, ctx);
+        console.log('[Recombine] Upload to storage successful.');
+        const result = { success: true, soundscapeUrl };
+
+        if (videoUrl) {
+            console.log(`[Recombine] Remuxing soundscape onto video (${videoAudioMode})...`);
+            const { path: localVideoPath } = await ingestMedia(ctx, videoUrl, { resolver: body.resolver });
+            const videoMetadata = await probeMedia(localVideoPath);
+            const existingAudioTracks = videoMetadata.streams.filter(s => s.codec_type === 'audio').length;
+            const remuxedPath = path.join(ctx.tempDir, 'remuxed.mp4');
+            const mixTrack = videoAudioMode === 'add' ? existingAudioTracks : 0;
+
+            await new Promise((resolve, reject) => {
+                ctx.track(ffmpeg().input(localVideoPath).input(soundscapePath), { progress: [60, 90] })
+                    .outputOptions([
+                        '-map', '0:v',
+                        ...(videoAudioMode === 'add' ? ['-map', '0:a?'] : []),
+                        '-map', '1:a',
+                        '-c:v', 'copy',
+                        '-c:a', 'copy',
+                        `-c:a:${mixTrack}`, 'aac',
+                        `-b:a:${mixTrack}`, '256k',
+                        `-metadata:s:a:${mixTrack}`, 'title=Soundscape',
+                        '-t', String(videoMetadata.format.duration),
+                        '-movflags', '+faststart',
+                    ])
+                    .on('end', resolve)
+                    .on('error', (err) => reject(new Error(`FFmpeg remux error: ${err.message}`)))
+                    .save(remuxedPath);
+            });
+            ctx.throwIfCancelled();
+            result.remuxedVideoUrl = await uploadOutput(remuxedPath, `soundscapes/${Date.now()}-remuxed.mp4`, ctx);
+        }
+
+        return result;
+    },
+});
+
+// =================================================================
+// === ROUTE 5: EXTRACT FACE THUMBNAILS API                    ===
+// =================================================================
+const FACE_MODES = ['thumbnails', 'clips'];
+// Piecewise-linear crop paths are capped at this many points so the ffmpeg
+// expressions stay small.
+const MAX_PATH_POINTS = 50;
+
+// '1:1', '9:16', 0.8 -> width / height, or null when not set.
+const parseAspectRatio = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return value > 0 ? value : NaN;
+  const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(String(value));
+  return match && Number(match[2]) > 0 ? Number(match[1]) / Number(match[2]) : NaN;
+};
+
+const validateCropOptions = ({ margin, aspectRatio, square }) => {
+  if (margin !== undefined && !(typeof margin === 'number' && margin >= 0 && margin <= 2)) {
+    return '"margin" must be a number between 0 and 2 (fraction of the face box added on each side).';
+  }
+  if (aspectRatio !== undefined && !(parseAspectRatio(aspectRatio) > 0)) {
+    return '"aspectRatio" must be a ratio such as "1:1" or "4:5", or a positive number.';
+  }
+  if (square !== undefined && typeof square !== 'boolean') {
+    return '"square" must be a boolean.';
+  }
+  return null;
+};
+
+const normalizeBox = (box) => ({
+  left: Number(box.left) || 0,
+  top: Number(box.top) || 0,
+  right: Number(box.right) || 0,
+  bottom: Number(box.bottom) || 0,
+});
+
+// Flattens both the simple `{ faceId, timeSegments, normalizedBoundingBox }`
+// shape and Video Intelligence `tracks[].timestampedObjects[]` tracking data
+// into `{ faceId, segments, boxes, staticBox }` tracks.
+const normalizeFaceTracks = (faceAnnotations) => {
+  const tracks = [];
+  const toBoxes = (objects) => (Array.isArray(objects) ? objects : [])
+    .filter(object => object && object.normalizedBoundingBox)
+    .map(object => ({ time: parseOffset(object.timeOffset || 0), box: normalizeBox(object.normalizedBoundingBox) }))
+    .filter(entry => !isNaN(entry.time))
+    .sort((a, b) => a.time - b.time);
+
+  faceAnnotations.forEach((face, faceIndex) => {
+    if (!face) return;
+    const faceId = face.faceId || `face-${faceIndex + 1}`;
+    if (Array.isArray(face.tracks) && face.tracks.length > 0) {
+      face.tracks.forEach((track, trackIndex) => {
+        const boxes = toBoxes(track.timestampedObjects);
+        const segment = track.segment
+          ? { startTime: parseOffset(track.segment.startTimeOffset || 0), endTime: parseOffset(track.segment.endTimeOffset) }
+          : { startTime: boxes.length ? boxes[0].time : NaN, endTime: boxes.length ? boxes[boxes.length - 1].time : NaN };
+        tracks.push({
+          faceId: face.tracks.length > 1 ? `${faceId}_track-${trackIndex + 1}` : faceId,
+          segments: [segment],
+          boxes,
+          staticBox: null,
+        });
+      });
+    } else {
+      tracks.push({
+        faceId,
+        segments: (face.timeSegments || []).map(segment => ({ startTime: parseOffset(segment.startTime), endTime: parseOffset(segment.endTime) })),
+        boxes: toBoxes(face.timestampedObjects),
+        staticBox: face.normalizedBoundingBox ? normalizeBox(face.normalizedBoundingBox) : null,
+      });
+    }
+  });
+
+  tracks.forEach((track) => {
+    track.segments = track.segments.filter(segment => segment.endTime >= segment.startTime);
+  });
+  return tracks.filter(track => track.segments.length > 0 && (track.boxes.length > 0 || track.staticBox));
+};
+
+// The face box at `time`, interpolated between tracked boxes.
+const boxAt = (track, time) => {
+  const { boxes } = track;
+  if (boxes.length === 0) return track.staticBox;
+  if (time <= boxes[0].time) return boxes[0].box;
+  const nextIndex = boxes.findIndex(entry => entry.time > time);
+  if (nextIndex === -1) return boxes[boxes.length - 1].box;
+  const previous = boxes[nextIndex - 1];
+  const next = boxes[nextIndex];
+  const ratio = (time - previous.time) / (next.time - previous.time);
+  const lerp = key => previous.box[key] + (next.box[key] - previous.box[key]) * ratio;
+  return { left: lerp('left'), top: lerp('top'), right: lerp('right'), bottom: lerp('bottom') };
+};
+
+const toEven = value => Math.max(2, Math.floor(value / 2) * 2);
+
+// Pixel crop size for a normalized box: grown by `margin` on every side,
+// widened or heightened to `aspectRatio`, then shrunk (keeping the ratio)
+// to fit in the frame.
+const cropSizeFor = (box, frameWidth, frameHeight, { margin = 0, aspectRatio = null }) => {
+  let width = (box.right - box.left) * frameWidth * (1 + 2 * margin);
+  let height = (box.bottom - box.top) * frameHeight * (1 + 2 * margin);
+  if (aspectRatio) {
+    if (width / height < aspectRatio) width = height * aspectRatio;
+    else height = width / aspectRatio;
+  }
+  const fit = Math.min(1, frameWidth / width, frameHeight / height);
+  return { width: toEven(width * fit), height: toEven(height * fit) };
+};
+
+// Top-left corner of a `width` x `height` crop centred on the box, clamped
+// to the frame bounds.
+const cropOriginFor = (box, frameWidth, frameHeight, width, height) => {
+  const centerX = ((box.left + box.right) / 2) * frameWidth;
+  const centerY = ((box.top + box.bottom) / 2) * frameHeight;
+  return {
+    x: Math.round(Math.min(Math.max(centerX - width / 2, 0), frameWidth - width)),
+    y: Math.round(Math.min(Math.max(centerY - height / 2, 0), frameHeight - height)),
+  };
+};
+
+const computeCropRect = (box, frameWidth, frameHeight, options) => {
+  const { width, height } = cropSizeFor(box, frameWidth, frameHeight, options);
+  return { width, height, ...cropOriginFor(box, frameWidth, frameHeight, width, height) };
+};
+
+// Builds an ffmpeg expression in `t` that linearly interpolates between
+// `points` ([{ time, value }], sorted) and holds the end values outside them.
+// Segments are summed rather than nested in if()s: ffmpeg rejects
+// expressions nested about 100 levels deep.
+const piecewiseLinearExpression = (points, maxPoints = MAX_PATH_POINTS) => {
+  const step = Math.max(1, Math.ceil(points.length / maxPoints));
+  const sampled = points.filter((point, index) => index % step === 0 || index === points.length - 1);
+  const first = sampled[0];
+  const last = sampled[sampled.length - 1];
+  const terms = [`lt(t,${first.time})*${first.value}`];
+  for (let i = 0; i < sampled.length - 1; i++) {
+    const from = sampled[i];
+    const to = sampled[i + 1];
+    if (to.time <= from.time) continue;
+    const slope = (to.value - from.value) / (to.time - from.time);
+    terms.push(`gte(t,${from.time})*lt(t,${to.time})*(${from.value}+${slope.toFixed(6)}*(t-${from.time}))`);
+  }
+  terms.push(`gte(t,${last.time})*${last.value}`);
+  return terms.join('+');
+};
+
+// Times inside [start, end] at which the crop path gets a point: the
+// segment bounds plus every tracked box in between.
+const pathTimes = (track, start, end) => [...new Set([
+  start,
+  ...track.boxes.map(entry => entry.time).filter(time => time > start && time < end),
+  end,
+])];
+
+// A fixed-size crop window following the track over [start, end]. Returns
+// the window size and `x`/`y` expressions in `t`, where t = time - timeBase.
+const trackingCrop = (track, start, end, frameWidth, frameHeight, options, timeBase = 0) => {
+  const times = pathTimes(track, start, end);
+  const sizes = times.map(time => cropSizeFor(boxAt(track, time), frameWidth, frameHeight, options));
+  let width = Math.max(...sizes.map(size => size.width));
+  let height = Math.max(...sizes.map(size => size.height));
+  if (options.aspectRatio) {
+    if (width / height < options.aspectRatio) width = height * options.aspectRatio;
+    else height = width / options.aspectRatio;
+    const fit = Math.min(1, frameWidth / width, frameHeight / height);
+    width *= fit;
+    height *= fit;
+  }
+  width = toEven(Math.min(width, frameWidth));
+  height = toEven(Math.min(height, frameHeight));
+
+  const origins = times.map(time => ({ time: Number((time - timeBase).toFixed(3)), ...cropOriginFor(boxAt(track, time), frameWidth, frameHeight, width, height) }));
+  return {
+    width,
+    height,
+    x: piecewiseLinearExpression(origins.map(origin => ({ time: origin.time, value: origin.x }))),
+    y: piecewiseLinearExpression(origins.map(origin => ({ time: origin.time, value: origin.y }))),
+  };
+};
+
+const cropOptionsFromBody = (body) => ({
+  margin: body.margin || 0,
+  aspectRatio: body.square ? 1 : parseAspectRatio(body.aspectRatio),
+});
+
+// `count` timestamps spread evenly over the total length of all segments.
+const candidateTimes = (segments, count) => {
+  if (count <= 1) {
+    const first = segments[0];
+    return [first.startTime + ((first.endTime - first.startTime) / 2)];
+  }
+  const total = segments.reduce((sum, segment) => sum + (segment.endTime - segment.startTime), 0);
+  return Array.from({ length: count }, (unused, i) => {
+    let position = ((i + 0.5) / count) * total;
+    for (const segment of segments) {
+      const length = segment.endTime - segment.startTime;
+      if (position <= length) return segment.startTime + position;
+      position -= length;
+    }
+    return segments[segments.length - 1].endTime;
+  });
+};
+
+// Writes one cropped frame and returns its sharpness: the mean luma of an
+// edge-detected copy, which drops sharply for blurry or motion-smeared frames.
+const extractScoredFaceFrame = (ctx, localVideoPath, { timestamp, crop, outputPath, size }) => new Promise((resolve, reject) => {
+    let sharpness = 0;
+    const cropFilter = `crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}${size ? `,scale=${size}:-2` : ''}`;
+    ctx.track(ffmpeg(localVideoPath))
+        .seekInput(timestamp)
+        .complexFilter([
+            `[0:v]${cropFilter},split[face][probe]`,
+            '[probe]edgedetect,signalstats,metadata=print:key=lavfi.signalstats.YAVG,nullsink',
+        ], 'face')
+        .frames(1)
+        .output(outputPath)
+        .on('stderr', (line) => {
+            const match = /lavfi\.signalstats\.YAVG=([\d.]+)/.exec(line);
+            if (match) sharpness = parseFloat(match[1]);
+        })
+        .on('end', () => resolve(sharpness))
+        .on('error', reject)
+        .run();
+});
+
+defineProcessingRoute('/extract-face-thumbnails', {
+    tag: 'Faces',
+    tempPrefix: 'faces',
+    errorMessage: 'Failed to process face thumbnails.',
+    validate: (body, file) => {
+        const { videoUrl, faceAnnotations, mode, candidates, size } = body;
+        if ((!videoUrl && !file) || !faceAnnotations || !Array.isArray(faceAnnotations)) {
+            return 'Request body must include "videoUrl" (or an uploaded "file") and a "faceAnnotations" array.';
+        }
+        if (mode !== undefined && !FACE_MODES.includes(mode)) {
+            return `"mode" must be one of: ${FACE_MODES.join(', ')}.`;
+        }
+        if (candidates !== undefined && !(Number.isInteger(candidates) && candidates >= 1 && candidates <= 20)) {
+            return '"candidates" must be an integer between 1 and 20.';
+        }
+        if (size !== undefined && !(Number.isInteger(size) && size >= 16)) {
+            return '"size" must be an output width in pixels (at least 16).';
+        }
+        return validateCropOptions(body);
+    },
+    handler: async (body, ctx) => {
+        console.log('[Faces] Received request to extract face thumbnails.');
+        const { faceAnnotations, mode = 'thumbnails', candidates = 1, size } = body;
+        const cropOptions = cropOptionsFromBody(body);
+        const tempDir = ctx.tempDir;
+
+        const { path: localVideoPath } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver });
+        console.log('[Faces] Video downloaded successfully.');
+        ctx.setProgress(10);
+
+        const { width: videoWidth, height: videoHeight } = await getVideoDimensions(localVideoPath);
+        console.log(`[Faces] Video dimensions: ${videoWidth}x${videoHeight}`);
+
+        const tracks = normalizeFaceTracks(faceAnnotations);
+        const generatedFiles = [];
+
+        if (mode === 'clips') {
+            const clipCount = tracks.reduce((sum, track) => sum + track.segments.length, 0);
+            console.log(`[Faces] Rendering ${clipCount} face track clips...`);
+            let rendered = 0;
+            for (const track of tracks) {
+                for (const segment of track.segments) {
+                    const duration = segment.endTime - segment.startTime;
+                    if (duration <= 0) continue;
+                    const crop = trackingCrop(track, segment.startTime, segment.endTime, videoWidth, videoHeight, cropOptions, segment.startTime);
+                    const outputFilename = `${track.faceId}_${segment.startTime.toFixed(2)}s_to_${segment.endTime.toFixed(2)}s.mp4`;
+
+                    await new Promise((resolve, reject) => {
+                        ctx.track(ffmpeg(localVideoPath))
+                            .seekInput(segment.startTime)
+                            .duration(duration)
+                            .videoFilters([
+                                `crop=w=${crop.width}:h=${crop.height}:x='${crop.x}':y='${crop.y}'`,
+                                ...(size ? [`scale=${size}:-2`] : []),
+                            ])
+                            .outputOptions(['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-movflags', '+faststart'])
+                            .output(path.join(tempDir, outputFilename))
+                            .on('end', resolve)
+                            .on('error', reject)
+                            .run();
+                    });
+                    generatedFiles.push(outputFilename);
+                    ctx.setProgress(10 + 80 * (++rendered / clipCount));
+                }
+            }
+            console.log('[Faces] All face clips rendered.');
+            ctx.throwIfCancelled();
+
+            console.log(`[Faces] Uploading ${generatedFiles.length} files to storage...`);
+            const faceClipUrls = await Promise.all(generatedFiles.map(filename =>
+                uploadOutput(path.join(tempDir, filename), `face_clips/${filename}`, ctx)));
+            return { success: true, faceClipUrls };
+        }
+
+        console.log(`[Faces] Starting extraction for ${tracks.length} detected face tracks (best of ${candidates})...`);
+        for (let i = 0; i < tracks.length; i++) {
+            const track = tracks[i];
+            let best = null;
+            const times = candidateTimes(track.segments, candidates);
+            for (let c = 0; c < times.length; c++) {
+                const timestamp = times[c];
+                const crop = computeCropRect(boxAt(track, timestamp), videoWidth, videoHeight, cropOptions);
+                const candidatePath = path.join(tempDir, `candidate_${c}.jpg`);
+                const sharpness = await extractScoredFaceFrame(ctx, localVideoPath, { timestamp, crop, outputPath: candidatePath, size });
+                if (fs.existsSync(candidatePath) && (!best || sharpness > best.sharpness)) {
+                    best = { timestamp, sharpness, candidatePath: path.join(tempDir, 'best.jpg') };
+                    fs.renameSync(candidatePath, best.candidatePath);
+                }
+            }
+            if (best) {
+                const outputFilename = `${track.faceId}_at_${best.timestamp.toFixed(2)}s.jpg`;
+                fs.renameSync(best.candidatePath, path.join(tempDir, outputFilename));
+                generatedFiles.push(outputFilename);
+            }
+            ctx.setProgress(10 + 80 * ((i + 1) / tracks.length));
+        }
+        console.log('[Faces] All face thumbnails extracted.');
+        ctx.throwIfCancelled();
+
+        console.log(`[Faces] Uploading ${generatedFiles.length} files to storage...`);
+        const faceThumbnailUrls = await Promise.all(generatedFiles.map(filename =>
+            uploadOutput(path.join(tempDir, filename), `face_thumbnails/${filename}`, ctx)));
+
+        return { success: true, faceThumbnailUrls };
+    },
+});
+
+
+// =================================================================
+// === ROUTE 6: SPLIT VIDEO BY SCENE API                         ===
+// =================================================================
+// Re-encode presets for `mode: 'accurate'` and highlight reels. `crf`
+// overrides the preset's default quality.
+const ENCODE_PRESETS = {
+  h264: (crf = 20) => ({
+    extension: 'mp4',
+    options: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', String(crf), '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '160k', '-movflags', '+faststart'],
+  }),
+  h265: (crf = 24) => ({
+    extension: 'mp4',
+    options: ['-c:v', 'libx265', '-preset', 'fast', '-crf', String(crf), '-pix_fmt', 'yuv420p', '-tag:v', 'hvc1', '-c:a', 'aac', '-b:a', '160k', '-movflags', '+faststart'],
+  }),
+  webm: (crf = 32) => ({
+    extension: 'webm',
+    options: ['-c:v', 'libvpx-vp9', '-crf', String(crf), '-b:v', '0', '-row-mt', '1', '-deadline', 'good', '-cpu-used', '4', '-c:a', 'libopus', '-b:a', '128k'],
+  }),
+};
+const SPLIT_MODES = ['copy', 'accurate', 'smart'];
+// Source codecs `smart` mode can re-encode a clip head to and splice with
+// the stream-copied remainder.
+const SMART_CUT_ENCODERS = { h264: 'libx264', hevc: 'libx265' };
+// How far a smart cut's duration may drift from the requested one before
+// the clip is redone in `accurate` mode.
+const SMART_CUT_TOLERANCE = 0.1;
+
+// Accepts numeric seconds, "12.3s" offsets and `{ seconds, nanos }` durations.
+const parseOffset = (value) => {
+  if (value && typeof value === 'object') return Number(value.seconds || 0) + Number(value.nanos || 0) / 1e9;
+  return parseFloat(typeof value === 'string' && value.endsWith('s') ? value.slice(0, -1) : value);
+};
+
+const cutClipCopy = (ctx, localVideoPath, { start, duration, outputPath }) => new Promise((resolve, reject) => {
+    ctx.track(ffmpeg(localVideoPath))
+        .setStartTime(start)
+        .setDuration(duration)
+        .outputOptions('-c', 'copy') // Use stream copy to avoid re-encoding for speed
+        .output(outputPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+});
+
+const cutClipAccurate = (ctx, localVideoPath, { start, duration, outputPath, preset }) => new Promise((resolve, reject) => {
+    // Input seeking plus re-encoding starts exactly on the requested frame.
+    ctx.track(ffmpeg(localVideoPath))
+        .seekInput(start)
+        .duration(duration)
+        .outputOptions(preset.options)
+        .output(outputPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+});
+
+// Re-encodes only [start, first keyframe) and stream-copies the rest, then
+// joins both parts. Parts are muxed as MPEG-TS so each keeps its own in-band
+// codec parameters across the splice. TS has no edit list, so some ffmpeg
+// builds leave pre-roll frames in the copied tail; a clip whose duration
+// comes out wrong is re-cut in `accurate` mode instead.
+const cutClipSmart = async (ctx, localVideoPath, { start, duration, outputPath, source, keyframeTimes }) => {
+    const end = start + duration;
+    const keyframe = keyframeTimes.find(time => time >= start - FRAME_TIME_EPSILON);
+    if (keyframe !== undefined && keyframe <= start + FRAME_TIME_EPSILON) {
+        return cutClipCopy(ctx, localVideoPath, { start: keyframe, duration, outputPath });
+    }
+    if (keyframe === undefined || keyframe >= end) {
+        return cutClipAccurate(ctx, localVideoPath, { start, duration, outputPath, preset: ENCODE_PRESETS.h264() });
+    }
+
+    const audioOptions = source.audio
+        ? ['-c:a', 'aac', '-b:a', '192k', '-ar', String(source.audio.sample_rate), '-ac', String(source.audio.channels)]
+        : ['-an'];
+    const workDir = path.dirname(outputPath);
+    const headPath = path.join(workDir, 'smart_head.ts');
+    const tailPath = path.join(workDir, 'smart_tail.ts');
+    const listPath = path.join(workDir, 'smart_concat.txt');
+
+    await new Promise((resolve, reject) => {
+        ctx.track(ffmpeg(localVideoPath))
+            .seekInput(start)
+            .duration(keyframe - start)
+            .outputOptions(['-c:v', SMART_CUT_ENCODERS[source.video.codec_name], '-preset', 'veryfast', '-crf', '18', '-pix_fmt', source.video.pix_fmt, ...audioOptions, '-f', 'mpegts'])
+            .output(headPath)
+            .on('end', resolve)
+            .on('error', reject)
+            .run();
+    });
+    await new Promise((resolve, reject) => {
+        ctx.track(ffmpeg(localVideoPath))
+            .seekInput(keyframe)
+            .duration(end - keyframe)
+            .outputOptions(['-c:v', 'copy', ...audioOptions, '-avoid_negative_ts', 'make_zero', '-f', 'mpegts'])
+            .output(tailPath)
+            .on('end', resolve)
+            .on('error', reject)
+            .run();
+    });
+
+    fs.writeFileSync(listPath, `file '${headPath}'\nfile '${tailPath}'\n`);
+    await new Promise((resolve, reject) => {
+        ctx.track(ffmpeg(listPath))
+            .inputOptions(['-f', 'concat', '-safe', '0'])
+            .outputOptions(['-c', 'copy', ...(source.audio ? ['-bsf:a', 'aac_adtstoasc'] : []), '-movflags', '+faststart'])
+            .output(outputPath)
+            .on('end', resolve)
+            .on('error', reject)
+            .run();
+    });
+    [headPath, tailPath, listPath].forEach(file => fs.rmSync(file, { force: true }));
+
+    const spliced = await probeMedia(outputPath);
+    const videoStream = spliced.streams.find(stream => stream.codec_type === 'video');
+    const actualDuration = parseFloat((videoStream && videoStream.duration) || spliced.format.duration);
+    // A scene running past the end of the source is cut short either way.
+    const expectedDuration = source.duration > start ? Math.min(duration, source.duration - start) : duration;
+    if (!(Math.abs(actualDuration - expectedDuration) <= SMART_CUT_TOLERANCE)) {
+        console.warn(`[Scene Split] Smart cut at ${start}s came out ${actualDuration}s instead of ${expectedDuration}s, re-encoding the whole clip.`);
+        fs.rmSync(outputPath, { force: true });
+        return cutClipAccurate(ctx, localVideoPath, { start, duration, outputPath, preset: ENCODE_PRESETS.h264() });
+    }
+};
+
+// Joins the chosen scenes into one re-encoded video, optionally crossfading
+// (video `xfade`, audio `acrossfade`) between consecutive scenes.
+const renderHighlightReel = (ctx, localVideoPath, { segments, crossfade, transition, frameRate, hasAudio, preset, outputPath, progress }) => {
+    const fade = Math.min(crossfade, ...segments.map(segment => segment.duration / 2));
+    const filters = [];
+    segments.forEach(({ start, duration }, i) => {
+        filters.push(`[0:v]trim=start=${start}:duration=${duration},setpts=PTS-STARTPTS,fps=${frameRate},format=yuv420p[v${i}]`);
+        if (hasAudio) filters.push(`[0:a]atrim=start=${start}:duration=${duration},asetpts=PTS-STARTPTS[a${i}]`);
+    });
+
+    let videoOut = 'v0';
+    let audioOut = hasAudio ? 'a0' : null;
+    if (segments.length > 1 && fade > 0) {
+        let offset = 0;
+        for (let i = 1; i < segments.length; i++) {
+            offset += segments[i - 1].duration - fade;
+            filters.push(`[${videoOut}][v${i}]xfade=transition=${transition}:duration=${fade}:offset=${offset}[xv${i}]`);
+            videoOut = `xv${i}`;
+            if (hasAudio) {
+                filters.push(`[${audioOut}][a${i}]acrossfade=d=${fade}[xa${i}]`);
+                audioOut = `xa${i}`;
+            }
+        }
+    } else if (segments.length > 1) {
+        const inputs = segments.map((segment, i) => (hasAudio ? `[v${i}][a${i}]` : `[v${i}]`)).join('');
+        filters.push(`${inputs}concat=n=${segments.length}:v=1:a=${hasAudio ? 1 : 0}[cv]${hasAudio ? '[ca]' : ''}`);
+        videoOut = 'cv';
+        audioOut = hasAudio ? 'ca' : null;
+    }
+
+    return new Promise((resolve, reject) => {
+        ctx.track(ffmpeg(localVideoPath), { progress })
+            .complexFilter(filters)
+            .outputOptions(['-map', `[${videoOut}]`, ...(audioOut ? ['-map', `[${audioOut}]`] : []), ...preset.options])
+            .output(outputPath)
+            .on('end', resolve)
+            .on('error', (err) => reject(new Error(`FFmpeg highlight error: ${err.message}`)))
+            .run();
+    });
+};
+
+defineProcessingRoute('/split-by-scene', {
+    tag: 'Scene Split',
+    tempPrefix: 'scenes',
+    errorMessage: 'Failed to process video scenes.',
+    validate: (body, file) => {
+        const { videoUrl, sceneAnnotations, autoDetect, mode, preset, crf, highlight } = body;
+        if ((!videoUrl && !file) || (!autoDetect && (!sceneAnnotations || !Array.isArray(sceneAnnotations)))) {
+            return 'Request body must include "videoUrl" (or an uploaded "file") and either a "sceneAnnotations" array or "autoDetect": true.';
+        }
+        if (sceneAnnotations !== undefined && !Array.isArray(sceneAnnotations)) {
+            return '"sceneAnnotations" must be an array.';
+        }
+        if (mode !== undefined && !SPLIT_MODES.includes(mode)) {
+            return `"mode" must be one of: ${SPLIT_MODES.join(', ')}.`;
+        }
+        if (preset !== undefined && !Object.hasOwn(ENCODE_PRESETS, preset)) {
+            return `"preset" must be one of: ${Object.keys(ENCODE_PRESETS).join(', ')}.`;
+        }
+        if (crf !== undefined && !(Number.isInteger(crf) && crf >= 0 && crf <= 63)) {
+            return '"crf" must be an integer between 0 and 63.';
+        }
+        if (highlight !== undefined) {
+            if (!highlight || !Array.isArray(highlight.scenes) || highlight.scenes.length === 0
+                || !highlight.scenes.every(index => Number.isInteger(index) && index >= 0)) {
+                return '"highlight.scenes" must be a non-empty array of zero-based scene indices.';
+            }
+            if (highlight.crossfade !== undefined && !(typeof highlight.crossfade === 'number' && highlight.crossfade >= 0)) {
+                return '"highlight.crossfade" must be a non-negative number of seconds.';
+            }
+            if (highlight.transition !== undefined && !/^[a-z]+$/.test(highlight.transition)) {
+                return '"highlight.transition" must be an ffmpeg xfade transition name such as "fade".';
+            }
+        }
+        return validateSceneDetectionOptions(body);
+    },
+    handler: async (body, ctx) => {
+        console.log('[Scene Split] Received request to split video by scenes.');
+        let { sceneAnnotations } = body;
+        const { mode = 'copy', highlight } = body;
+        const preset = ENCODE_PRESETS[body.preset || 'h264'](body.crf);
+        const tempDir = ctx.tempDir;
+
+        const { path: localVideoPath } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver });
+        console.log('[Scene Split] Video downloaded successfully.');
+        ctx.setProgress(10);
+
+        if (body.autoDetect && !(Array.isArray(sceneAnnotations) && sceneAnnotations.length > 0)) {
+            console.log('[Scene Split] No scene annotations supplied, detecting scenes...');
+            ({ sceneAnnotations } = await detectScenes(ctx, localVideoPath, { threshold: body.threshold, minShotLength: body.minShotLength, progress: [10, 30] }));
+        }
+        if (highlight && highlight.scenes.some(index => index >= sceneAnnotations.length)) {
+            throw createError(400, `"highlight.scenes" refers to a scene beyond the ${sceneAnnotations.length} available.`);
+        }
+
+        const metadata = await probeMedia(localVideoPath);
+        const source = {
+            video: metadata.streams.find(s => s.codec_type === 'video'),
+            audio: metadata.streams.find(s => s.codec_type === 'audio'),
+            duration: parseFloat(metadata.format.duration),
+        };
+        if (highlight && !source.video) {
+            throw createError(422, 'A highlight reel needs a source with a video stream.');
+        }
+        let clipMode = mode;
+        let keyframeTimes = [];
+        if (mode === 'smart') {
+            if (source.video && SMART_CUT_ENCODERS[source.video.codec_name]) {
+                keyframeTimes = (await probeVideoPackets(localVideoPath)).filter(packet => packet.keyframe).map(packet => packet.time);
+            } else {
+                console.warn(`[Scene Split] Smart cutting does not support "${source.video && source.video.codec_name}" video, re-encoding instead.`);
+                clipMode = 'accurate';
+            }
+        }
+        const clipExtension = clipMode === 'accurate' ? preset.extension : 'mp4';
+
+        const generatedFiles = [];
+        const segments = [];
+
+        console.log(`[Scene Split] Starting ${clipMode} scene splitting for ${sceneAnnotations.length} scenes...`);
+        for (let i = 0; i < sceneAnnotations.length; i++) {
+            const scene = sceneAnnotations[i];
+            const startTime = String(scene.startTime).endsWith('s') ? String(scene.startTime).slice(0, -1) : String(scene.startTime);
+            const endTime = String(scene.endTime).endsWith('s') ? String(scene.endTime).slice(0, -1) : String(scene.endTime);
+            const duration = parseOffset(endTime) - parseOffset(startTime);
+
+            if (isNaN(duration) || duration <= 0) {
+                console.warn(`[Scene Split] Skipping invalid scene segment: ${JSON.stringify(scene)}`);
+                segments.push(null);
+                continue;
+            }
+            segments.push({ start: parseOffset(startTime), duration });
+
+            const outputFilename = `scene_${i + 1}_${startTime}s_to_${endTime}s.${clipExtension}`;
+            const clip = { start: parseOffset(startTime), duration, outputPath: path.join(tempDir, outputFilename), preset, source, keyframeTimes };
+
+            try {
+                if (clipMode === 'accurate') await cutClipAccurate(ctx, localVideoPath, clip);
+                else if (clipMode === 'smart') await cutClipSmart(ctx, localVideoPath, clip);
+                else await cutClipCopy(ctx, localVideoPath, clip);
+            } catch (err) {
+                console.error(`[Scene Split] FFmpeg error for scene ${i+1}: ${err.message}`);
+                throw err;
+            }
+            generatedFiles.push(outputFilename);
+            ctx.setProgress(10 + (highlight ? 50 : 80) * ((i + 1) / sceneAnnotations.length));
+        }
+        console.log('[Scene Split] All scene clips created.');
+        ctx.throwIfCancelled();
+
+        console.log(`[Scene Split] Uploading ${generatedFiles.length} files to storage...`);
+        const sceneUrls = await Promise.all(generatedFiles.map(filename =>
+            uploadOutput(path.join(tempDir, filename), `scenes/${filename}`, ctx)));
+        const result = { success: true, sceneUrls };
+
+        if (highlight) {
+            const chosen = highlight.scenes.map(index => segments[index]);
+            if (chosen.includes(null)) {
+                throw createError(400, '"highlight.scenes" includes an invalid (empty) scene segment.');
+            }
+            console.log(`[Scene Split] Rendering highlight reel from ${chosen.length} scenes...`);
+            const highlightFilename = `highlight_${Date.now()}.${preset.extension}`;
+            await renderHighlightReel(ctx, localVideoPath, {
+                segments: chosen,
+                crossfade: highlight.crossfade || 0,
+                transition: highlight.transition || 'fade',
+                // r_frame_rate is often a timebase such as 90000/1 for phone
+                // or variable-frame-rate footage.
+                frameRate: source.video.avg_frame_rate && source.video.avg_frame_rate !== '0/0'
+                    ? source.video.avg_frame_rate
+                    : source.video.r_frame_rate,
+                hasAudio: Boolean(source.audio),
+                preset,
+                outputPath: path.join(tempDir, highlightFilename),
+                progress: [ctx.progress, 95],
+            });
+            result.highlightUrl = await uploadOutput(path.join(tempDir, highlightFilename), `scenes/highlights/${highlightFilename}`, ctx);
+        }
+
+        return result;
+    },
+});
+
+
+// =================================================================
+// === ROUTE 7: DETECT SCENES API                                ===
+// =================================================================
+const DEFAULT_SCENE_THRESHOLD = 0.3;
+const DEFAULT_MIN_SHOT_LENGTH = 1.0;
+
+const validateSceneDetectionOptions = ({ threshold, minShotLength }) => {
+  if (threshold !== undefined && !(typeof threshold === 'number' && threshold > 0 && threshold < 1)) {
+    return '"threshold" must be a number between 0 and 1.';
+  }
+  if (minShotLength !== undefined && !(typeof minShotLength === 'number' && minShotLength >= 0)) {
+    return '"minShotLength" must be a non-negative number of seconds.';
+  }
+  return null;
+};
+
+// Google Video Intelligence style "12.3s" offsets, as /split-by-scene expects.
+const formatOffset = (timeInSeconds) => `${Number(timeInSeconds.toFixed(3))}s`;
+
+// Scores every frame with ffmpeg's scene-change detector and turns the cuts
+// into shots, dropping cuts that would leave a shot shorter than
+// `minShotLength`. Shots come back in both shapes the other routes consume.
+const detectScenes = async (ctx, localVideoPath, { threshold = DEFAULT_SCENE_THRESHOLD, minShotLength = DEFAULT_MIN_SHOT_LENGTH, progress } = {}) => {
+    const metadata = await probeMedia(localVideoPath);
+    const duration = parseFloat(metadata.format.duration);
+    if (!duration) {
+        throw new Error('Could not determine video duration.');
+    }
+
+    const cuts = [];
+    await new Promise((resolve, reject) => {
+        // Scene scores are just as reliable on a small copy and far cheaper.
+        ctx.track(ffmpeg(localVideoPath), { progress })
+            .videoFilters(['scale=320:-2', `select='gt(scene,${threshold})'`, 'metadata=print:key=lavfi.scene_score'])
+            .noAudio()
+            .format('null')
+            .output('-')
+            .on('stderr', (line) => {
+                const timeMatch = /Parsed_metadata.*\bpts_time:\s*([\d.]+)/.exec(line);
+                if (timeMatch) cuts.push({ time: parseFloat(timeMatch[1]), score: null });
+                const scoreMatch = /lavfi\.scene_score=([\d.]+)/.exec(line);
+                if (scoreMatch && cuts.length > 0) cuts[cuts.length - 1].score = parseFloat(scoreMatch[1]);
+            })
+            .on('end', resolve)
+            .on('error', (err) => reject(new Error(`FFmpeg scene detection error: ${err.message}`)))
+            .run();
+    });
+
+    const shots = [];
+    let shotStart = { time: 0, score: null };
+    cuts.forEach((cut) => {
+        if (cut.time - shotStart.time < minShotLength || duration - cut.time < minShotLength) return;
+        shots.push({ startTime: shotStart.time, endTime: cut.time, score: shotStart.score });
+        shotStart = cut;
+    });
+    shots.push({ startTime: shotStart.time, endTime: duration, score: shotStart.score });
+
+    return {
+        total_duration: duration,
+        shots: shots.map(({ startTime, endTime }) => ({ startTime, endTime })),
+        sceneAnnotations: shots.map(({ startTime, endTime }) => ({ startTime: formatOffset(startTime), endTime: formatOffset(endTime) })),
+        cutScores: shots.slice(1).map(({ startTime, score }) => ({ time: startTime, score })),
+    };
+};
+
+defineProcessingRoute('/detect-scenes', {
+    tag: 'Scenes',
+    tempPrefix: 'detect',
+    errorMessage: 'Failed to detect scenes.',
+    validate: (body, file) => {
+        if (!body.videoUrl && !file) {
+            return 'Request body must include "videoUrl" or an uploaded "file".';
+        }
+        return validateSceneDetectionOptions(body);
+    },
+    handler: async (body, ctx) => {
+        console.log('[Scenes] Received request to detect scenes.');
+        const { path: localVideoPath } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver });
+        ctx.setProgress(10);
+
+        const detection = await detectScenes(ctx, localVideoPath, {
+            threshold: body.threshold,
+            minShotLength: body.minShotLength,
+            progress: [10, 100],
+        });
+        console.log(`[Scenes] Detected ${detection.shots.length} shots.`);
+        return { success: true, ...detection };
+    },
+});
+
+
+// =================================================================
+// === ROUTE 8: AUDIO ANALYSIS API                               ===
+// =================================================================
+const DEFAULT_LOUDNESS_TARGET = { targetLufs: -16, truePeak: -1.5, lra: 11 };
+const WAVEFORM_SAMPLE_RATE = 16000;
+
+// Collects the JSON block loudnorm prints to stderr at the end of a run.
+const parseLoudnormJson = (stderrLines) => {
+    const start = stderrLines.findIndex(line => /Parsed_loudnorm/.test(line));
+    const match = start === -1 ? null : /\{[\s\S]*\}/.exec(stderrLines.slice(start + 1).join('\n'));
+    if (!match) {
+        throw new Error('Could not read loudnorm measurements.');
+    }
+    const stats = JSON.parse(match[0]);
+    return {
+        integrated: parseFloat(stats.input_i),
+        range: parseFloat(stats.input_lra),
+        truePeak: parseFloat(stats.input_tp),
+        threshold: parseFloat(stats.input_thresh),
+        targetOffset: parseFloat(stats.target_offset),
+    };
+};
+
+const loudnormTarget = ({ targetLufs, truePeak, lra }) => `I=${targetLufs}:TP=${truePeak}:LRA=${lra}`;
+
+// First pass of EBU R128 normalization: measures integrated loudness,
+// loudness range and true peak (optionally alongside silencedetect).
+const measureAudio = async (ctx, localPath, { target = DEFAULT_LOUDNESS_TARGET, silence, progress } = {}) => {
+    const stderrLines = [];
+    const filters = [];
+    if (silence) filters.push(`silencedetect=noise=${silence.threshold}dB:d=${silence.minDuration}`);
+    filters.push(`loudnorm=${loudnormTarget(target)}:print_format=json`);
+
+    await new Promise((resolve, reject) => {
+        ctx.track(ffmpeg(localPath), { progress })
+            .noVideo()
+            .audioFilters(filters)
+            .format('null')
+            .output('-')
+            .on('stderr', line => stderrLines.push(line))
+            .on('end', resolve)
+            .on('error', (err) => reject(new Error(`FFmpeg loudness analysis error: ${err.message}`)))
+            .run();
+    });
+
+    const silences = [];
+    stderrLines.forEach((line) => {
+        const start = /silence_start:\s*(-?[\d.]+)/.exec(line);
+        const end = /silence_end:\s*([\d.]+)\s*\|\s*silence_duration:\s*([\d.]+)/.exec(line);
+        if (start) silences.push({ start: Math.max(0, parseFloat(start[1])), end: null, duration: null });
+        if (end && silences.length > 0) {
+            Object.assign(silences[silences.length - 1], { end: parseFloat(end[1]), duration: parseFloat(end[2]) });
+        }
+    });
+    return { loudness: parseLoudnormJson(stderrLines), silences };
+};
+
+// Decodes to mono PCM and reduces it to min/max pairs per point, in -1..1.
+const computeWaveformPeaks = (ctx, localPath, { pointsPerSecond, progress }) => new Promise((resolve, reject) => {
+    const samplesPerPoint = Math.max(1, Math.round(WAVEFORM_SAMPLE_RATE / pointsPerSecond));
+    const min = [];
+    const max = [];
+    let bucketMin = 0;
+    let bucketMax = 0;
+    let bucketCount = 0;
+    let leftover = null;
+    const round = value => Math.round(value * 10000) / 10000;
+    const flushBucket = () => {
+        min.push(round(bucketMin));
+        max.push(round(bucketMax));
+        bucketMin = 0;
+        bucketMax = 0;
+        bucketCount = 0;
+    };
+
+    const command = ctx.track(ffmpeg(localPath), { progress })
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(WAVEFORM_SAMPLE_RATE)
+        .format('s16le')
+        .on('error', (err) => reject(new Error(`FFmpeg waveform error: ${err.message}`)));
+    const pcm = command.pipe();
+    pcm.on('data', (chunk) => {
+        const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+        const usable = data.length - (data.length % 2);
+        for (let offset = 0; offset < usable; offset += 2) {
+            const sample = data.readInt16LE(offset) / 32768;
+            if (sample < bucketMin) bucketMin = sample;
+            if (sample > bucketMax) bucketMax = sample;
+            if (++bucketCount === samplesPerPoint) flushBucket();
+        }
+        leftover = usable < data.length ? data.subarray(usable) : null;
+    });
+    pcm.on('end', () => {
+        if (bucketCount > 0) flushBucket();
+        resolve({ pointsPerSecond, length: min.length, min, max });
+    });
+});
+
+defineProcessingRoute('/analyze-audio', {
+    tag: 'Audio Analysis',
+    tempPrefix: 'analyze',
+    errorMessage: 'Failed to analyze audio.',
+    validate: (body, file) => {
+        const { audioUrl, videoUrl, silenceThreshold, silenceMinDuration, pointsPerSecond } = body;
+        if (!audioUrl && !videoUrl && !file) {
+            return 'Request body must include "audioUrl", "videoUrl" or an uploaded "file".';
+        }
+        if (silenceThreshold !== undefined && !(typeof silenceThreshold === 'number' && silenceThreshold < 0)) {
+            return '"silenceThreshold" must be a negative number of dB.';
+        }
+        if (silenceMinDuration !== undefined && !(typeof silenceMinDuration === 'number' && silenceMinDuration > 0)) {
+            return '"silenceMinDuration" must be a positive number of seconds.';
+        }
+        if (pointsPerSecond !== undefined && !(typeof pointsPerSecond === 'number' && pointsPerSecond > 0 && pointsPerSecond <= 1000)) {
+            return '"pointsPerSecond" must be a number between 0 and 1000.';
+        }
+        return null;
+    },
+    handler: async (body, ctx) => {
+        console.log('[Audio Analysis] Received request.');
+        const { silenceThreshold = -50, silenceMinDuration = 0.5, pointsPerSecond = 10, waveform = true } = body;
+
+        const { path: localPath } = await ingestMedia(ctx, body.audioUrl || body.videoUrl, { resolver: body.resolver });
+        const metadata = await probeMedia(localPath);
+        if (!metadata.streams.some(s => s.codec_type === 'audio')) {
+            throw createError(422, 'The source has no audio stream.');
+        }
+        const duration = parseFloat(metadata.format.duration);
+        ctx.setProgress(10);
+
+        console.log('[Audio Analysis] Measuring loudness and silences...');
+        const { loudness, silences } = await measureAudio(ctx, localPath, {
+            silence: { threshold: silenceThreshold, minDuration: silenceMinDuration },
+            progress: [10, waveform ? 55 : 100],
+        });
+        // A silence still running at the end of the file has no end marker.
+        silences.filter(silence => silence.end === null).forEach((silence) => {
+            silence.end = duration;
+            silence.duration = Math.max(0, duration - silence.start);
+        });
+
+        const result = {
+            success: true,
+            duration,
+            loudness: {
+                integrated: loudness.integrated,
+                range: loudness.range,
+                truePeak: loudness.truePeak,
+                threshold: loudness.threshold,
+            },
+            silences,
+        };
+
+        if (waveform) {
+            console.log(`[Audio Analysis] Computing waveform peaks at ${pointsPerSecond} points/s...`);
+            result.waveform = await computeWaveformPeaks(ctx, localPath, { pointsPerSecond, progress: [55, 100] });
+        }
+        ctx.throwIfCancelled();
+
+        console.log('[Audio Analysis] Analysis complete.');
+        return result;
+    },
+});
+
+
+// =================================================================
+// === ROUTE 9: BLUR FACES API                                   ===
+// =================================================================
+const BLUR_STYLES = ['blur', 'pixelate'];
+
+// Redaction filter for a `width` x `height` region. boxblur radii are
+// capped by the (half-size) chroma planes.
+const redactionFilter = (style, strength, width, height) => {
+  if (style === 'pixelate') {
+    const block = strength || 16;
+    return `scale=${Math.max(1, Math.round(width / block))}:${Math.max(1, Math.round(height / block))}:flags=area,scale=${width}:${height}:flags=neighbor`;
+  }
+  const radius = strength || 20;
+  const lumaRadius = Math.max(1, Math.min(radius, Math.floor(Math.min(width, height) / 2) - 1));
+  const chromaRadius = Math.max(1, Math.min(radius, Math.floor(Math.min(width, height) / 4) - 1));
+  return `boxblur=luma_radius=${lumaRadius}:luma_power=3:chroma_radius=${chromaRadius}:chroma_power=3`;
+};
+
+defineProcessingRoute('/blur-faces', {
+    tag: 'Blur Faces',
+    tempPrefix: 'blur',
+    errorMessage: 'Failed to blur faces.',
+    validate: (body, file) => {
+        const { videoUrl, faceAnnotations, style, strength } = body;
+        if ((!videoUrl && !file) || !faceAnnotations || !Array.isArray(faceAnnotations)) {
+            return 'Request body must include "videoUrl" (or an uploaded "file") and a "faceAnnotations" array.';
+        }
+        if (style !== undefined && !BLUR_STYLES.includes(style)) {
+            return `"style" must be one of: ${BLUR_STYLES.join(', ')}.`;
+        }
+        if (strength !== undefined && !(Number.isInteger(strength) && strength >= 1 && strength <= 100)) {
+            return '"strength" must be an integer between 1 and 100.';
+        }
+        return validateCropOptions(body);
+    },
+    handler: async (body, ctx) => {
+        console.log('[Blur Faces] Received request to blur faces.');
+        const { style = 'blur', strength } = body;
+        // Default to a little margin so hairlines and chins are covered too.
+        const cropOptions = { margin: body.margin === undefined ? 0.15 : body.margin, aspectRatio: parseAspectRatio(body.aspectRatio) };
+
+        const { path: localVideoPath } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver });
+        ctx.setProgress(10);
+        const { width: videoWidth, height: videoHeight } = await getVideoDimensions(localVideoPath);
+
+        const regions = [];
+        normalizeFaceTracks(body.faceAnnotations).forEach((track) => {
+            track.segments.forEach((segment) => {
+                regions.push({ segment, crop: trackingCrop(track, segment.startTime, segment.endTime, videoWidth, videoHeight, cropOptions) });
+            });
+        });
+        if (regions.length === 0) {
+            throw createError(422, 'No usable face segments with bounding boxes were found in "faceAnnotations".');
+        }
+        console.log(`[Blur Faces] Redacting ${regions.length} face segments (${style})...`);
+
+        // Each region gets its own copy of the frame to crop and redact, then
+        // is overlaid back at the same (moving) position while it is active.
+        const filters = [`[0:v]split=${regions.length + 1}[base]${regions.map((region, i) => `[src${i}]`).join('')}`];
+        let current = 'base';
+        regions.forEach(({ segment, crop }, i) => {
+            filters.push(`[src${i}]crop=w=${crop.width}:h=${crop.height}:x='${crop.x}':y='${crop.y}',${redactionFilter(style, strength, crop.width, crop.height)}[red${i}]`);
+            filters.push(`[${current}][red${i}]overlay=x='${crop.x}':y='${crop.y}':enable='between(t,${segment.startTime},${segment.endTime})'[out${i}]`);
+            current = `out${i}`;
+        });
+
+        const outputPath = path.join(ctx.tempDir, 'blurred.mp4');
+        await new Promise((resolve, reject) => {
+            ctx.track(ffmpeg(localVideoPath), { progress: [10, 90] })
+                .complexFilter(filters)
+                .outputOptions(['-map', `[${current}]`, '-map', '0:a?', '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p', '-c:a', 'copy', '-movflags', '+faststart'])
+                .output(outputPath)
+                .on('end', resolve)
+                .on('error', (err) => reject(new Error(`FFmpeg blur error: ${err.message}`)))
+                .run();
+        });
+        ctx.throwIfCancelled();
+
+        const blurredVideoUrl = await uploadOutput(outputPath, `blurred/${Date.now()}-blurred.mp4`, ctx);
+        console.log('[Blur Faces] Upload to storage successful.');
+        return { success: true, blurredVideoUrl, regionsBlurred: regions.length };
+    },
+});
+
+
+// =================================================================
+// === ROUTE 10: REFRAME API                                     ===
+// =================================================================
+const REFRAME_ASPECT_RATIOS = { '9:16': 9 / 16, '1:1': 1, '4:5': 4 / 5 };
+const REFRAME_FALLBACKS = ['center', 'letterbox'];
+const REFRAME_SAMPLE_INTERVAL = 0.25;
+// Whole-video crop paths need more points than a single face clip.
+const REFRAME_PATH_POINTS = 200;
+
+// Video Intelligence object tracking annotations (`frames[]` plus a
+// `segment`) expressed as face tracks, so both go through normalizeFaceTracks.
+const objectAnnotationsToFaceAnnotations = (objectAnnotations) => objectAnnotations.map((annotation, index) => ({
+  faceId: `object-${index + 1}`,
+  tracks: [{ segment: annotation && annotation.segment, timestampedObjects: annotation && annotation.frames }],
+}));
+
+// The largest `aspectRatio` window that fits in the frame.
+const reframeWindow = (frameWidth, frameHeight, aspectRatio) => (frameWidth / frameHeight > aspectRatio
+  ? { width: toEven(frameHeight * aspectRatio), height: toEven(frameHeight) }
+  : { width: toEven(frameWidth), height: toEven(frameWidth / aspectRatio) });
+
+// Area-weighted centre of every subject on screen at `time`, or null.
+const subjectCenterAt = (tracks, time) => {
+  let weight = 0;
+  let x = 0;
+  let y = 0;
+  tracks.forEach((track) => {
+    if (!track.segments.some(segment => time >= segment.startTime && time <= segment.endTime)) return;
+    const box = boxAt(track, time);
+    const area = Math.max((box.right - box.left) * (box.bottom - box.top), 1e-6);
+    x += area * ((box.left + box.right) / 2);
+    y += area * ((box.top + box.bottom) / 2);
+    weight += area;
+  });
+  return weight > 0 ? { x: x / weight, y: y / weight } : null;
+};
+
+// Samples the subject centre over [0, duration], holds the nearest known
+// centre through gaps and smooths it with a centred moving average over
+// `smoothing` seconds. Returns null when no subject is ever on screen.
+const subjectPath = (tracks, duration, smoothing) => {
+  const times = [];
+  for (let i = 0; i * REFRAME_SAMPLE_INTERVAL < duration; i++) times.push(i * REFRAME_SAMPLE_INTERVAL);
+  times.push(duration);
+  const centers = times.map(time => subjectCenterAt(tracks, time));
+  if (centers.every(center => !center)) return null;
+
+  for (let i = 1; i < centers.length; i++) centers[i] = centers[i] || centers[i - 1];
+  for (let i = centers.length - 2; i >= 0; i--) centers[i] = centers[i] || centers[i + 1];
+
+  const radius = Math.round(smoothing / 2 / REFRAME_SAMPLE_INTERVAL);
+  return times.map((time, i) => {
+    const window = centers.slice(Math.max(0, i - radius), i + radius + 1);
+    return {
+      time: Number(time.toFixed(3)),
+      x: window.reduce((sum, center) => sum + center.x, 0) / window.length,
+      y: window.reduce((sum, center) => sum + center.y, 0) / window.length,
+    };
+  });
+};
+
+defineProcessingRoute('/reframe', {
+    tag: 'Reframe',
+    tempPrefix: 'reframe',
+    errorMessage: 'Failed to reframe video.',
+    validate: (body, file) => {
+        const { videoUrl, aspectRatio, faceAnnotations, objectAnnotations, fallback, smoothing, width } = body;
+        if (!videoUrl && !file) {
+            return 'Request body must include "videoUrl" (or an uploaded "file").';
+        }
+        if (!Object.hasOwn(REFRAME_ASPECT_RATIOS, aspectRatio)) {
+            return `"aspectRatio" must be one of: ${Object.keys(REFRAME_ASPECT_RATIOS).join(', ')}.`;
+        }
+        if (faceAnnotations !== undefined && !Array.isArray(faceAnnotations)) {
+            return '"faceAnnotations" must be an array.';
+        }
+        if (objectAnnotations !== undefined && !Array.isArray(objectAnnotations)) {
+            return '"objectAnnotations" must be an array.';
+        }
+        if (fallback !== undefined && !REFRAME_FALLBACKS.includes(fallback)) {
+            return `"fallback" must be one of: ${REFRAME_FALLBACKS.join(', ')}.`;
+        }
+        if (smoothing !== undefined && !(typeof smoothing === 'number' && smoothing >= 0 && smoothing <= 10)) {
+            return '"smoothing" must be a number of seconds between 0 and 10.';
+        }
+        if (width !== undefined && !(Number.isInteger(width) && width >= 16 && width <= 4096)) {
+            return '"width" must be an output width in pixels between 16 and 4096.';
+        }
+        return null;
+    },
+    handler: async (body, ctx) => {
+        console.log('[Reframe] Received request to reframe video.');
+        const { aspectRatio, fallback = 'center', smoothing = 1.5 } = body;
+        const ratio = REFRAME_ASPECT_RATIOS[aspectRatio];
+
+        const { path: localVideoPath } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver });
+        console.log('[Reframe] Video downloaded successfully.');
+        ctx.setProgress(10);
+
+        const { width: videoWidth, height: videoHeight, duration } = await getVideoDimensions(localVideoPath);
+        console.log(`[Reframe] Video dimensions: ${videoWidth}x${videoHeight}, target ${aspectRatio}`);
+
+        const tracks = normalizeFaceTracks([
+            ...(body.faceAnnotations || []),
+            ...objectAnnotationsToFaceAnnotations(body.objectAnnotations || []),
+        ]);
+        const pathEnd = duration || Math.max(0, ...tracks.map(track => Math.max(...track.segments.map(segment => segment.endTime))));
+        const subjectCenters = tracks.length > 0 ? subjectPath(tracks, pathEnd, smoothing) : null;
+
+        const crop = reframeWindow(videoWidth, videoHeight, ratio);
+        const outputWidth = body.width ? toEven(body.width) : crop.width;
+        const outputHeight = body.width ? toEven(body.width / ratio) : crop.height;
+
+        let strategy;
+        let filters;
+        if (subjectCenters) {
+            strategy = 'tracking';
+            const clampOrigin = (center, frameSize, cropSize) => Math.round(Math.min(Math.max(center * frameSize - cropSize / 2, 0), frameSize - cropSize));
+            const x = piecewiseLinearExpression(subjectCenters.map(point => ({ time: point.time, value: clampOrigin(point.x, videoWidth, crop.width) })), REFRAME_PATH_POINTS);
+            const y = piecewiseLinearExpression(subjectCenters.map(point => ({ time: point.time, value: clampOrigin(point.y, videoHeight, crop.height) })), REFRAME_PATH_POINTS);
+            filters = [`[0:v]crop=w=${crop.width}:h=${crop.height}:x='${x}':y='${y}',scale=${outputWidth}:${outputHeight},setsar=1[out]`];
+        } else if (fallback === 'letterbox') {
+            strategy = 'letterbox';
+            // The whole frame fitted into the target, over a blurred copy
+            // scaled to fill it.
+            filters = [
+                '[0:v]split[bg][fg]',
+                `[bg]scale=${outputWidth}:${outputHeight}:force_original_aspect_ratio=increase,crop=${outputWidth}:${outputHeight},boxblur=luma_radius=20:luma_power=2:chroma_radius=10:chroma_power=2[blurred]`,
+                `[fg]scale=${outputWidth}:${outputHeight}:force_original_aspect_ratio=decrease[front]`,
+                '[blurred][front]overlay=x=(W-w)/2:y=(H-h)/2,setsar=1[out]',
+            ];
+        } else {
+            strategy = 'center';
+            filters = [`[0:v]crop=w=${crop.width}:h=${crop.height}:x=(iw-ow)/2:y=(ih-oh)/2,scale=${outputWidth}:${outputHeight},setsar=1[out]`];
+        }
+        console.log(`[Reframe] Rendering ${outputWidth}x${outputHeight} using ${strategy} strategy...`);
+
+        const outputPath = path.join(ctx.tempDir, 'reframed.mp4');
+        await new Promise((resolve, reject) => {
+            ctx.track(ffmpeg(localVideoPath), { progress: [10, 90] })
+                .complexFilter(filters)
+                .outputOptions(['-map', '[out]', '-map', '0:a?', '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p', '-c:a', 'copy', '-movflags', '+faststart'])
+                .output(outputPath)
+                .on('end', resolve)
+                .on('error', (err) => reject(new Error(`FFmpeg reframe error: ${err.message}`)))
+                .run();
+        });
+        ctx.throwIfCancelled();
+
+        const reframedVideoUrl = await uploadOutput(outputPath, `reframed/${Date.now()}-${aspectRatio.replace(':', 'x')}.mp4`, ctx);
+        console.log('[Reframe] Upload to storage successful.');
+        return { success: true, reframedVideoUrl, strategy, width: outputWidth, height: outputHeight };
+    },
+});
+
+// =================================================================
+// === ROUTE 11: ADAPTIVE STREAM PACKAGING API                   ===
+// =================================================================
+const STREAM_FORMATS = ['hls', 'dash'];
+const DEFAULT_BITRATE_LADDER = [
+  { height: 1080, videoBitrate: '5000k' },
+  { height: 720, videoBitrate: '3000k' },
+  { height: 480, videoBitrate: '1200k' },
+  { height: 360, videoBitrate: '800k' },
+];
+const MAX_LADDER_RUNGS = 8;
+// Segments are uploaded this many at a time.
+const PACKAGE_UPLOAD_CONCURRENCY = 8;
+
+// '3000k', '3M', 3000 (kbps) -> kbps, or NaN.
+const parseBitrate = (value) => {
+  if (typeof value === 'number') return value > 0 ? value : NaN;
+  const match = /^(\d+(?:\.\d+)?)([kKmM])?$/.exec(String(value));
+  if (!match) return NaN;
+  const amount = Number(match[1]);
+  if (!match[2]) return amount / 1000;
+  return match[2].toLowerCase() === 'm' ? amount * 1000 : amount;
+};
+
+const validateLadder = (ladder) => {
+  if (!Array.isArray(ladder) || ladder.length === 0 || ladder.length > MAX_LADDER_RUNGS) {
+    return `"ladder" must be an array of 1 to ${MAX_LADDER_RUNGS} renditions.`;
+  }
+  for (let i = 0; i < ladder.length; i++) {
+    const rung = ladder[i] || {};
+    if (!(Number.isInteger(rung.height) && rung.height >= 64 && rung.height <= 4320)) {
+      return `"ladder[${i}].height" must be an integer between 64 and 4320.`;
+    }
+    if (!(parseBitrate(rung.videoBitrate) >= 50)) {
+      return `"ladder[${i}].videoBitrate" must be a bitrate such as "3000k" or "3M" (at least 50k).`;
+    }
+  }
+  return null;
+};
+
+// Uploads every file in `localDir` under `prefix`, keeping file names so the
+// playlists' relative segment URIs resolve. Returns { filename: url }.
+const uploadDirectory = async (localDir, prefix, ctx) => {
+  const filenames = fs.readdirSync(localDir).sort();
+  const urls = {};
+  for (let i = 0; i < filenames.length; i += PACKAGE_UPLOAD_CONCURRENCY) {
+    await Promise.all(filenames.slice(i, i + PACKAGE_UPLOAD_CONCURRENCY).map(async (filename) => {
+      urls[filename] = await uploadOutput(path.join(localDir, filename), `${prefix}/${filename}`, ctx);
+    }));
+  }
+  return urls;
+};
+
+defineProcessingRoute('/package-stream', {
+    tag: 'Package',
+    tempPrefix: 'package',
+    errorMessage: 'Failed to package stream.',
+    validate: (body, file) => {
+        const { videoUrl, ladder, audioBitrate, formats, segmentDuration } = body;
+        if (!videoUrl && !file) {
+            return 'Request body must include "videoUrl" (or an uploaded "file").';
+        }
+        if (ladder !== undefined) {
+            const ladderError = validateLadder(ladder);
+            if (ladderError) return ladderError;
+        }
+        if (audioBitrate !== undefined && !(parseBitrate(audioBitrate) >= 32 && parseBitrate(audioBitrate) <= 512)) {
+            return '"audioBitrate" must be a bitrate between "32k" and "512k".';
+        }
+        if (formats !== undefined && !(Array.isArray(formats) && formats.length > 0 && formats.every(format => STREAM_FORMATS.includes(format)))) {
+            return `"formats" must be a non-empty array of: ${STREAM_FORMATS.join(', ')}.`;
+        }
+        if (segmentDuration !== undefined && !(typeof segmentDuration === 'number' && segmentDuration >= 1 && segmentDuration <= 20)) {
+            return '"segmentDuration" must be a number of seconds between 1 and 20.';
+        }
+        return null;
+    },
+    handler: async (body, ctx) => {
+        console.log('[Package] Received request to package adaptive stream.');
+        const { ladder = DEFAULT_BITRATE_LADDER, audioBitrate = '128k', formats = ['hls'], segmentDuration = 4 } = body;
+        const dash = formats.includes('dash');
+
+        const { path: localVideoPath } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver });
+        console.log('[Package] Video downloaded successfully.');
+        ctx.setProgress(5);
+
+        const metadata = await probeMedia(localVideoPath);
+        const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+        if (!videoStream || !videoStream.width || !videoStream.height) {
+            throw createError(422, 'Source has no video stream to package.');
+        }
+        const hasAudio = metadata.streams.some(s => s.codec_type === 'audio');
+        const source = streamRotation(videoStream) % 180 !== 0
+            ? { width: videoStream.height, height: videoStream.width }
+            : { width: videoStream.width, height: videoStream.height };
+
+        // Never upscale: rungs taller than the source are skipped, and if
+        // that leaves nothing the smallest rung is packaged at source height.
+        const sortedLadder = [...ladder].sort((a, b) => b.height - a.height);
+        let renditions = sortedLadder.filter(rung => rung.height <= source.height);
+        const skippedRungs = sortedLadder.filter(rung => rung.height > source.height).map(rung => rung.height);
+        if (renditions.length === 0) {
+            renditions = [{ ...sortedLadder[sortedLadder.length - 1], height: source.height }];
+        }
+        renditions = renditions
+            .filter((rung, index, all) => all.findIndex(other => other.height === rung.height) === index)
+            .map(rung => ({
+                width: toEven(rung.height * (source.width / source.height)),
+                height: toEven(rung.height),
+                videoBitrate: Math.round(parseBitrate(rung.videoBitrate)),
+            }));
+        console.log(`[Package] Packaging ${renditions.length} renditions (${renditions.map(r => `${r.height}p`).join(', ')})${skippedRungs.length ? `, skipped ${skippedRungs.join(', ')}` : ''}.`);
+
+        const outputDir = path.join(ctx.tempDir, 'package');
+        ensureDirExists(outputDir);
+
+        const filters = [
+            `[0:v]split=${renditions.length}${renditions.map((r, i) => `[split${i}]`).join('')}`,
+            ...renditions.map((r, i) => `[split${i}]scale=${r.width}:${r.height},setsar=1[v${i}]`),
+        ];
+        const audioKbps = Math.round(parseBitrate(audioBitrate));
+        const outputOptions = [
+            '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+            // Keyframes on every segment boundary keep renditions switchable.
+            '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`, '-sc_threshold', '0',
+        ];
+        renditions.forEach((r, i) => {
+            outputOptions.push('-map', `[v${i}]`,
+                `-b:v:${i}`, `${r.videoBitrate}k`, `-maxrate:v:${i}`, `${Math.round(r.videoBitrate * 1.07)}k`, `-bufsize:v:${i}`, `${r.videoBitrate * 2}k`);
+        });
+        if (hasAudio) outputOptions.push('-c:a', 'aac', '-b:a', `${audioKbps}k`, '-ac', '2');
+
+        let outputPath;
+        if (dash) {
+            // CMAF: one set of fMP4 segments referenced by both the DASH
+            // manifest and the HLS playlists the muxer writes next to it.
+            if (hasAudio) outputOptions.push('-map', '0:a:0');
+            outputOptions.push(
+                '-f', 'dash', '-seg_duration', String(segmentDuration), '-use_template', '1', '-use_timeline', '1',
+                '-hls_playlist', '1', '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+            );
+            outputPath = path.join(outputDir, 'manifest.mpd');
+        } else {
+            // HLS muxes audio into every variant so each stays self-contained.
+            if (hasAudio) renditions.forEach(() => outputOptions.push('-map', '0:a:0'));
+            outputOptions.push(
+                '-f', 'hls', '-hls_time', String(segmentDuration), '-hls_playlist_type', 'vod', '-hls_flags', 'independent_segments',
+                '-master_pl_name', 'master.m3u8',
+                '-var_stream_map', renditions.map((r, i) => (hasAudio ? `v:${i},a:${i}` : `v:${i}`)).join(' '),
+                '-hls_segment_filename', path.join(outputDir, 'stream_%v_%05d.ts'),
+            );
+            outputPath = path.join(outputDir, 'stream_%v.m3u8');
+        }
 
-const upload = multer({ dest: os.tmpdir() });
-const storage = new Storage();
-// ⚠️ IMPORTANT: Replace this with your actual Google Cloud Storage bucket name
-const bucketName = 'ben-ffmpeg-video-bucket-12345'; 
+        await new Promise((resolve, reject) => {
+            ctx.track(ffmpeg(localVideoPath), { progress: [5, 85] })
+                .complexFilter(filters)
+                .outputOptions(outputOptions)
+                .output(outputPath)
+                .on('end', resolve)
+                .on('error', (err) => reject(new Error(`FFmpeg packaging error: ${err.message}`)))
+                .run();
+        });
+        ctx.throwIfCancelled();
+        console.log('[Package] Renditions encoded and segmented.');
 
-const ensureDirExists = (dirPath) => {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
-};
+        // Players resolve segments relative to the playlist, so the whole
+        // tree shares one prefix.
+        const destinationPrefix = `streams/${Date.now()}`;
+        console.log(`[Package] Uploading package to ${destinationPrefix}...`);
+        const urls = await uploadDirectory(outputDir, destinationPrefix, ctx);
+        console.log('[Package] Upload to storage successful.');
 
+        const result = {
+            success: true,
+            masterPlaylistUrl: urls['master.m3u8'],
+            renditions,
+            skippedRungs,
+        };
+        if (dash) result.dashManifestUrl = urls['manifest.mpd'];
+        return result;
+    },
+});
 
 // =================================================================
-// === ROUTE 1: GET MEDIA METADATA                           ===
+// === ROUTE 12: RENDER TIMELINE API                             ===
 // =================================================================
-app.post('/get-media-metadata', async (req, res) => {
-    console.log('[Metadata] Received request for full media specs.');
-    const { videoUrl } = req.body;
-    if (!videoUrl) {
-        return res.status(400).json({ error: 'Request body must include "videoUrl".' });
+const TIMELINE_TRACK_TYPES = { video: 'clips', audio: 'clips', image: 'items', text: 'items' };
+const MAX_TIMELINE_INPUTS = 40;
+const TIMELINE_FONT_FILE = process.env.TIMELINE_FONT_FILE || '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+const DEFAULT_TIMELINE_OUTPUT = { width: 1280, height: 720, fps: 30, background: 'black', preset: 'h264' };
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|[a-zA-Z]+)(@(0(\.\d+)?|1(\.0+)?))?$/;
+
+// Checks a whole timeline and returns every problem as `{ path, message }`,
+// with paths such as "timeline.tracks[1].clips[0].out".
+const validateTimeline = (timeline) => {
+  const details = [];
+  const fail = (fieldPath, message) => details.push({ path: fieldPath, message });
+  const isTime = value => typeof value === 'number' && isFinite(value) && value >= 0;
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const checkNumber = (value, fieldPath, min, max, { integer = false } = {}) => {
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+      fail(fieldPath, `must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}.`);
+    }
+  };
+  const checkUrl = (value, fieldPath) => {
+    if (typeof value !== 'string' || !/^(https?|gs):\/\//i.test(value)) fail(fieldPath, 'must be an http(s) or gs:// URL.');
+  };
+  const checkColor = (value, fieldPath) => {
+    if (value !== undefined && !(typeof value === 'string' && COLOR_PATTERN.test(value))) {
+      fail(fieldPath, 'must be a color name or "#RRGGBB", optionally followed by "@opacity".');
+    }
+  };
+  const checkSpan = (item, itemPath, startKey, endKey, { endRequired = true } = {}) => {
+    if (item[startKey] !== undefined && !isTime(item[startKey])) fail(`${itemPath}.${startKey}`, 'must be a non-negative number of seconds.');
+    if (item[endKey] === undefined) {
+      if (endRequired) fail(`${itemPath}.${endKey}`, 'is required.');
+    } else if (!isTime(item[endKey]) || item[endKey] <= (item[startKey] || 0)) {
+      fail(`${itemPath}.${endKey}`, `must be a number of seconds greater than "${startKey}".`);
+    }
+  };
+
+  if (!isObject(timeline)) {
+    fail('timeline', 'must be an object.');
+    return details;
+  }
+
+  const output = timeline.output || {};
+  if (timeline.output !== undefined && !isObject(timeline.output)) fail('timeline.output', 'must be an object.');
+  ['width', 'height'].forEach((key) => {
+    checkNumber(output[key], `timeline.output.${key}`, 16, 4096, { integer: true });
+    if (Number.isInteger(output[key]) && output[key] % 2 !== 0) fail(`timeline.output.${key}`, 'must be even.');
+  });
+  checkNumber(output.fps, 'timeline.output.fps', 1, 120);
+  checkNumber(output.duration, 'timeline.output.duration', 0.1, 6 * 3600);
+  checkNumber(output.crf, 'timeline.output.crf', 0, 63, { integer: true });
+  checkColor(output.background, 'timeline.output.background');
+  if (output.preset !== undefined && !Object.hasOwn(ENCODE_PRESETS, output.preset)) {
+    fail('timeline.output.preset', `must be one of: ${Object.keys(ENCODE_PRESETS).join(', ')}.`);
+  }
+
+  if (!Array.isArray(timeline.tracks) || timeline.tracks.length === 0) {
+    fail('timeline.tracks', 'must be a non-empty array.');
+    return details;
+  }
+
+  let videoTracks = 0;
+  let inputs = 0;
+  timeline.tracks.forEach((track, trackIndex) => {
+    const trackPath = `timeline.tracks[${trackIndex}]`;
+    if (!isObject(track) || !Object.hasOwn(TIMELINE_TRACK_TYPES, track.type)) {
+      fail(`${trackPath}.type`, `must be one of: ${Object.keys(TIMELINE_TRACK_TYPES).join(', ')}.`);
+      return;
+    }
+    const listKey = TIMELINE_TRACK_TYPES[track.type];
+    const list = track[listKey];
+    if (!Array.isArray(list) || list.length === 0) {
+      fail(`${trackPath}.${listKey}`, 'must be a non-empty array.');
+      return;
+    }
+    if (track.type === 'video' && ++videoTracks > 1) {
+      fail(`${trackPath}.type`, 'only one video track is supported; put overlays on image or text tracks.');
     }
 
-    const tempDir = path.join(os.tmpdir(), `metadata_${Date.now()}`);
-    ensureDirExists(tempDir);
-    const localVideoPath = path.join(tempDir, 'source.mp4');
+    list.forEach((item, itemIndex) => {
+      const itemPath = `${trackPath}.${listKey}[${itemIndex}]`;
+      if (!isObject(item)) {
+        fail(itemPath, 'must be an object.');
+        return;
+      }
+      if (track.type !== 'text') {
+        checkUrl(item.url, `${itemPath}.url`);
+        inputs++;
+      }
 
-    try {
-        const response = await axios({ method: 'get', url: videoUrl, responseType: 'stream' });
-        const writer = fs.createWriteStream(localVideoPath);
-        response.data.pipe(writer);
-        await new Promise((resolve, reject) => { writer.on('finish', resolve); writer.on('error', reject); });
-        
-        const metadata = await new Promise((resolve, reject) => {
-            ffmpeg.ffprobe(localVideoPath, (err, data) => {
-                if (err) return reject(new Error(`ffprobe error: ${err.message}`));
-                resolve(data);
+      if (track.type === 'video') {
+        checkSpan(item, itemPath, 'in', 'out');
+        checkNumber(item.volume, `${itemPath}.volume`, 0, 10);
+        if (item.muted !== undefined && typeof item.muted !== 'boolean') fail(`${itemPath}.muted`, 'must be a boolean.');
+        if (item.transition !== undefined) {
+          const { transition } = item;
+          if (itemIndex === 0) {
+            fail(`${itemPath}.transition`, 'cannot be set on the first clip; a transition joins a clip to the one before it.');
+          } else if (!isObject(transition) || typeof transition.type !== 'string' || !/^[a-z]+$/.test(transition.type)) {
+            fail(`${itemPath}.transition.type`, 'must be an ffmpeg xfade transition name such as "fade".');
+          } else {
+            const previous = list[itemIndex - 1] || {};
+            const shortest = Math.min((item.out - (item.in || 0)), (previous.out - (previous.in || 0)));
+            if (!(typeof transition.duration === 'number' && transition.duration > 0 && transition.duration < shortest)) {
+              fail(`${itemPath}.transition.duration`, 'must be a positive number of seconds shorter than both clips it joins.');
+            }
+          }
+        }
+      } else if (track.type === 'audio') {
+        if (item.start !== undefined && !isTime(item.start)) fail(`${itemPath}.start`, 'must be a non-negative number of seconds.');
+        checkSpan(item, itemPath, 'in', 'out', { endRequired: false });
+        checkNumber(item.volume, `${itemPath}.volume`, 0, 10);
+        if (item.envelope !== undefined) {
+          if (!Array.isArray(item.envelope) || item.envelope.length === 0 || item.envelope.length > MAX_PATH_POINTS) {
+            fail(`${itemPath}.envelope`, `must be an array of 1 to ${MAX_PATH_POINTS} { time, volume } points.`);
+          } else {
+            item.envelope.forEach((point, pointIndex) => {
+              const pointPath = `${itemPath}.envelope[${pointIndex}]`;
+              if (!isObject(point) || !isTime(point.time)) {
+                fail(`${pointPath}.time`, 'must be a non-negative number of seconds.');
+              } else if (pointIndex > 0 && isObject(item.envelope[pointIndex - 1]) && point.time <= item.envelope[pointIndex - 1].time) {
+                fail(`${pointPath}.time`, 'must be greater than the previous point\'s time.');
+              }
+              if (!isObject(point) || typeof point.volume !== 'number' || point.volume < 0 || point.volume > 10) {
+                fail(`${pointPath}.volume`, 'must be a number between 0 and 10.');
+              }
             });
-        });
-        
-        const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-        const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
-        const result = {
-            format: {
-                duration: metadata.format.duration,
-                size_bytes: metadata.format.size,
-                bit_rate: metadata.format.bit_rate,
-            },
-            video_stream: videoStream ? { codec: videoStream.codec_name, width: videoStream.width, height: videoStream.height, avg_frame_rate: videoStream.avg_frame_rate, nb_frames: videoStream.nb_frames } : null,
-            audio_stream: audioStream ? { codec: audioStream.codec_name, sample_rate: audioStream.sample_rate, channels: audioStream.channels, channel_layout: audioStream.channel_layout } : null,
+          }
+        }
+      } else {
+        checkSpan(item, itemPath, 'start', 'end');
+        checkNumber(item.x, `${itemPath}.x`, -8192, 8192);
+        checkNumber(item.y, `${itemPath}.y`, -8192, 8192);
+        if (track.type === 'image') {
+          checkNumber(item.width, `${itemPath}.width`, 2, 8192, { integer: true });
+          checkNumber(item.opacity, `${itemPath}.opacity`, 0, 1);
+        } else {
+          if (typeof item.text !== 'string' || item.text.trim() === '' || item.text.length > 1000) {
+            fail(`${itemPath}.text`, 'must be a non-empty string of at most 1000 characters.');
+          }
+          checkNumber(item.fontSize, `${itemPath}.fontSize`, 8, 400, { integer: true });
+          checkColor(item.color, `${itemPath}.color`);
+          checkColor(item.boxColor, `${itemPath}.boxColor`);
+          if (item.box !== undefined && typeof item.box !== 'boolean') fail(`${itemPath}.box`, 'must be a boolean.');
+        }
+      }
+    });
+  });
+
+  if (videoTracks === 0 && output.duration === undefined) {
+    fail('timeline.output.duration', 'is required when the timeline has no video track.');
+  }
+  if (inputs > MAX_TIMELINE_INPUTS) {
+    fail('timeline.tracks', `must reference at most ${MAX_TIMELINE_INPUTS} media inputs (found ${inputs}).`);
+  }
+  return details;
+};
+
+// "00:01:02.50" -> 62.5
+const timemarkToSeconds = timemark => String(timemark || '0').split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+
+// Clip, transition and timeline-position layout of the video track: each
+// clip starts where the previous ends, or `transition.duration` earlier.
+const layoutVideoClips = (clips) => {
+  let length = 0;
+  const layout = clips.map((clip, index) => {
+    const duration = clip.out - (clip.in || 0);
+    const overlap = index > 0 && clip.transition ? clip.transition.duration : 0;
+    const start = length - overlap;
+    length = start + duration;
+    return { clip, duration, start, overlap };
+  });
+  layout.forEach((entry, index) => {
+    entry.fadeOut = index + 1 < layout.length ? layout[index + 1].overlap : 0;
+  });
+  return { layout, length };
+};
+
+defineProcessingRoute('/render-timeline', {
+    tag: 'Timeline',
+    tempPrefix: 'timeline',
+    errorMessage: 'Failed to render timeline.',
+    validate: (body) => {
+        if (body.timeline === undefined) {
+            return 'Request body must include a "timeline" object.';
+        }
+        const details = validateTimeline(body.timeline);
+        return details.length > 0 ? { error: 'Invalid timeline.', details } : null;
+    },
+    handler: async (body, ctx) => {
+        console.log('[Timeline] Received request to render timeline.');
+        const { timeline } = body;
+        const output = { ...DEFAULT_TIMELINE_OUTPUT, ...timeline.output };
+        const preset = ENCODE_PRESETS[output.preset](output.crf);
+        const itemsOf = type => timeline.tracks.filter(track => track.type === type).flatMap(track => track[TIMELINE_TRACK_TYPES[type]]);
+        const videoClips = itemsOf('video');
+        const imageItems = itemsOf('image');
+        const textItems = itemsOf('text');
+        const audioClips = itemsOf('audio');
+
+        // Every distinct source is ingested (and cached) once, however many
+        // times the timeline uses it.
+        const urls = [...new Set([...videoClips, ...imageItems, ...audioClips].map(item => item.url))];
+        const sources = {};
+        for (let i = 0; i < urls.length; i++) {
+            const { path: localPath } = await ingestMedia(ctx, urls[i], { resolver: body.resolver });
+            sources[urls[i]] = { path: localPath, metadata: await probeMedia(localPath) };
+            ctx.setProgress(20 * ((i + 1) / urls.length));
+        }
+        console.log(`[Timeline] Ingested ${urls.length} sources.`);
+
+        const hasStream = (url, type) => sources[url].metadata.streams.some(s => s.codec_type === type);
+        for (const item of [...videoClips, ...imageItems]) {
+            if (!hasStream(item.url, 'video')) throw createError(422, `Source "${item.url}" has no video or image stream.`);
+        }
+        for (const item of audioClips) {
+            if (!hasStream(item.url, 'audio')) throw createError(422, `Source "${item.url}" has no audio stream.`);
+        }
+
+        const { layout, length: videoLength } = layoutVideoClips(videoClips);
+        const total = output.duration || videoLength;
+        const { width, height, fps, background } = output;
+        const audioFormat = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo';
+
+        const command = ctx.track(ffmpeg());
+        let inputIndex = 0;
+        const addInput = (localPath, inputOptions = []) => {
+            command.input(localPath).inputOptions(inputOptions);
+            return inputIndex++;
         };
-        
-        console.log('[Metadata] Successfully extracted full media specs.');
-        res.status(200).json({ success: true, metadata: result });
 
-    } catch (error) {
-        console.error('[Metadata] Error:', error.message);
-        res.status(500).json({ error: 'Failed to get media metadata.' });
-    } finally {
-        if (fs.existsSync(tempDir)) { fs.rmSync(tempDir, { recursive: true, force: true }); }
-    }
-});
+        const filters = [
+            `color=c=${background}:s=${width}x${height}:r=${fps}:d=${total},format=yuv420p[canvas]`,
+            `anullsrc=r=48000:cl=stereo,atrim=duration=${total}[silence]`,
+        ];
+        const audioLabels = ['silence'];
+        let current = 'canvas';
 
+        // Video track: clips are fitted to the canvas, then joined in order
+        // with either a hard cut (concat) or an xfade transition.
+        if (layout.length > 0) {
+            let track = null;
+            layout.forEach(({ clip, duration, start, overlap, fadeOut }, i) => {
+                const input = addInput(sources[clip.url].path, ['-ss', String(clip.in || 0), '-t', String(duration)]);
+                filters.push(`[${input}:v]setpts=PTS-STARTPTS,scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${background},setsar=1,fps=${fps},format=yuv420p[clip${i}]`);
+                if (!track) {
+                    track = `clip${i}`;
+                } else if (overlap > 0) {
+                    filters.push(`[${track}][clip${i}]xfade=transition=${clip.transition.type}:duration=${overlap}:offset=${start}[joined${i}]`);
+                    track = `joined${i}`;
+                } else {
+                    filters.push(`[${track}][clip${i}]concat=n=2:v=1:a=0[joined${i}]`);
+                    track = `joined${i}`;
+                }
 
-// =================================================================
-// === ROUTE 2: AUDIO EXTRACTION API (URL-based)               ===
-// =================================================================
-app.post('/extract-audio', async (req, res) => {
-    console.log('[Audio] Received request to extract audio.');
-    const { videoUrl } = req.body;
-    if (!videoUrl) {
-        return res.status(400).json({ error: 'Request body must include "videoUrl".' });
-    }
+                if (!clip.muted && hasStream(clip.url, 'audio')) {
+                    const fades = [
+                        ...(overlap > 0 ? [`afade=t=in:d=${overlap}`] : []),
+                        ...(fadeOut > 0 ? [`afade=t=out:st=${duration - fadeOut}:d=${fadeOut}`] : []),
+                    ];
+                    filters.push([
+                        `[${input}:a]asetpts=PTS-STARTPTS`, audioFormat, `volume=${clip.volume === undefined ? 1 : clip.volume}`,
+                        ...fades, `adelay=${Math.round(start * 1000)}:all=1[clipaudio${i}]`,
+                    ].join(','));
+                    audioLabels.push(`clipaudio${i}`);
+                }
+            });
+            filters.push(`[${current}][${track}]overlay=eof_action=pass[videotrack]`);
+            current = 'videotrack';
+        }
 
-    const tempDir = path.join(os.tmpdir(), `audio_${Date.now()}`);
-    ensureDirExists(tempDir);
-    const localVideoPath = path.join(tempDir, 'source.mp4');
-    const tempAudioOutputPath = path.join(tempDir, 'audio.m4a');
+        imageItems.forEach((item, i) => {
+            const input = addInput(sources[item.url].path);
+            const adjustments = [
+                ...(item.width ? [`scale=${item.width}:-2`] : []),
+                'format=rgba',
+                ...(item.opacity !== undefined && item.opacity < 1 ? [`colorchannelmixer=aa=${item.opacity}`] : []),
+            ];
+            filters.push(`[${input}:v]${adjustments.join(',')}[image${i}]`);
+            filters.push(`[${current}][image${i}]overlay=x=${item.x || 0}:y=${item.y || 0}:enable='between(t,${item.start || 0},${item.end})'[imaged${i}]`);
+            current = `imaged${i}`;
+        });
 
-    try {
-        console.log(`[Audio] Downloading video from: ${videoUrl}`);
-        const response = await axios({ method: 'get', url: videoUrl, responseType: 'stream' });
-        const writer = fs.createWriteStream(localVideoPath);
-        response.data.pipe(writer);
-        await new Promise((resolve, reject) => { writer.on('finish', resolve); writer.on('error', reject); });
-        
+        // Caption text goes through files so it needs no filtergraph escaping.
+        textItems.forEach((item, i) => {
+            const textPath = path.join(ctx.tempDir, `caption_${i}.txt`);
+            fs.writeFileSync(textPath, item.text);
+            const options = [
+                `fontfile=${TIMELINE_FONT_FILE}`, `textfile=${textPath}`, 'expansion=none',
+                `fontsize=${item.fontSize || 48}`, `fontcolor=${item.color || 'white'}`,
+                `x=${item.x === undefined ? '(w-text_w)/2' : item.x}`, `y=${item.y === undefined ? 'h-text_h-40' : item.y}`,
+                ...(item.box ? ['box=1', `boxcolor=${item.boxColor || 'black@0.5'}`, 'boxborderw=12'] : []),
+                `enable='between(t,${item.start || 0},${item.end})'`,
+            ];
+            filters.push(`[${current}]drawtext=${options.join(':')}[captioned${i}]`);
+            current = `captioned${i}`;
+        });
+
+        // Audio tracks are placed at `start` and shaped by their volume
+        // envelope, which is expressed in timeline time.
+        audioClips.forEach((item, i) => {
+            const input = addInput(sources[item.url].path, [
+                '-ss', String(item.in || 0),
+                ...(item.out !== undefined ? ['-t', String(item.out - (item.in || 0))] : []),
+            ]);
+            const envelope = item.envelope
+                ? [`volume='${piecewiseLinearExpression(item.envelope.map(point => ({ time: point.time, value: point.volume })))}':eval=frame`]
+                : [];
+            filters.push([
+                `[${input}:a]asetpts=PTS-STARTPTS`, audioFormat, `volume=${item.volume === undefined ? 1 : item.volume}`,
+                `adelay=${Math.round((item.start || 0) * 1000)}:all=1`, ...envelope,
+            ].join(',') + `[track${i}]`);
+            audioLabels.push(`track${i}`);
+        });
+
+        filters.push(`${audioLabels.map(label => `[${label}]`).join('')}amix=inputs=${audioLabels.length}:normalize=0:duration=first[mix]`);
+        console.log(`[Timeline] Rendering ${total.toFixed(2)}s at ${width}x${height}@${fps} from ${inputIndex} inputs...`);
+
+        const outputPath = path.join(ctx.tempDir, `timeline.${preset.extension}`);
         await new Promise((resolve, reject) => {
-            ffmpeg(localVideoPath).noVideo().audioCodec('aac').save(tempAudioOutputPath)
-                .on('error', (err) => reject(new Error(`FFmpeg error: ${err.message}`)))
-                .on('end', resolve);
+            command
+                .complexFilter(filters)
+                .outputOptions(['-map', `[${current}]`, '-map', '[mix]', ...preset.options, '-t', String(total)])
+                .output(outputPath)
+                .on('progress', (info) => ctx.setProgress(20 + 70 * Math.min(1, timemarkToSeconds(info.timemark) / total)))
+                .on('end', resolve)
+                .on('error', (err) => reject(new Error(`FFmpeg timeline error: ${err.message}`)))
+                .run();
         });
-        
-        const gcsDestination = `audio/${Date.now()}-audio.m4a`;
-        const [file] = await storage.bucket(bucketName).upload(tempAudioOutputPath, { destination: gcsDestination });
-        
-        console.log('[Audio] Upload to GCS successful.');
-        res.status(200).json({ success: true, audioUrl: file.publicUrl() });
-
-    } catch (err) {
-        console.error('[Audio] Process failed:', err.message);
-        res.status(500).send({ error: 'Failed to process and upload audio file.' });
-    } finally {
-        if (fs.existsSync(tempDir)) { fs.rmSync(tempDir, { recursive: true, force: true }); }
-    }
-});
+        ctx.throwIfCancelled();
 
+        const videoUrl = await uploadOutput(outputPath, `timelines/${Date.now()}-timeline.${preset.extension}`, ctx);
+        console.log('[Timeline] Upload to storage successful.');
+        return { success: true, videoUrl, duration: total, width, height, fps };
+    },
+});
 
 // =================================================================
-// === ROUTE 3: KEYFRAME EXTRACTION API (UPDATED INTERVAL)     ===
+// === ROUTE 13: SUBTITLES API                                   ===
 // =================================================================
-app.post('/extract-keyframes', async (req, res) => {
-    console.log('[Keyframes] Received request.');
-    const { videoUrl, shots, total_duration } = req.body; 
-    if (!videoUrl || !shots || !Array.isArray(shots) || !total_duration) {
-        return res.status(400).json({ error: 'Request body must include "videoUrl", "shots" array, and "total_duration".' });
+const SUBTITLE_MODES = ['burn', 'mux', 'convert', 'extract'];
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+const MAX_SUBTITLE_BYTES = 2 * 1024 * 1024;
+// Soft subtitle codec per output container.
+const SUBTITLE_CONTAINERS = {
+  mp4: { codec: 'mov_text' },
+  mkv: { codec: 'ass' },
+  webm: { codec: 'webvtt' },
+};
+// Codecs WebM can hold; other sources are re-encoded for a WebM mux.
+const WEBM_VIDEO_CODECS = ['vp8', 'vp9', 'av1'];
+const WEBM_AUDIO_CODECS = ['vorbis', 'opus'];
+// Picture-based subtitle codecs cannot be turned into text cues.
+const BITMAP_SUBTITLE_CODECS = ['hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'xsub'];
+const SUBTITLE_POSITIONS = { bottom: 2, middle: 5, top: 8 };
+
+// "01:02:03,450", "02:03.450" (WebVTT) and "1:02:03.45" (ASS) -> seconds.
+const parseCueTimestamp = (value) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/.exec(String(value).trim());
+  if (!match) return NaN;
+  return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]) + Number(match[4].padEnd(3, '0')) / 1000;
+};
+
+const detectSubtitleFormat = (text) => {
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  if (/^\s*\[Script Info\]/i.test(text)) return 'ass';
+  return 'srt';
+};
+
+// SRT and WebVTT share the same block structure; cue ids, NOTE, STYLE and
+// REGION blocks are skipped.
+const parseSrtOrVtt = (text) => text.split(/\n\s*\n/).reduce((cues, block) => {
+  const lines = block.split('\n');
+  const timingIndex = lines.findIndex(line => line.includes('-->'));
+  if (timingIndex === -1) return cues;
+  const [startText, rest] = lines[timingIndex].split('-->');
+  const start = parseCueTimestamp(startText);
+  const end = parseCueTimestamp(rest.trim().split(/\s+/)[0]);
+  const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+  if (!isNaN(start) && !isNaN(end) && cueText) cues.push({ start, end, text: cueText });
+  return cues;
+}, []);
+
+// Reads the Dialogue lines of an ASS/SSA [Events] section. Override tags are
+// dropped except italic/bold/underline, which map to their SRT equivalents.
+const parseAss = (text) => {
+  const cues = [];
+  let inEvents = false;
+  let fields = null;
+  text.split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (/^\[.*\]$/.test(line)) {
+      inEvents = /^\[events\]$/i.test(line);
+      return;
     }
+    if (!inEvents) return;
+    if (/^format:/i.test(line)) {
+      fields = line.slice(line.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+    } else if (/^dialogue:/i.test(line) && fields) {
+      const values = line.slice(line.indexOf(':') + 1).split(',');
+      const cueText = values.slice(fields.length - 1).join(',');
+      const field = name => (values[fields.indexOf(name)] || '').trim();
+      const start = parseCueTimestamp(field('start'));
+      const end = parseCueTimestamp(field('end'));
+      const plain = cueText
+        .replace(/\{\\([ibu])1\}/g, '<$1>')
+        .replace(/\{\\([ibu])0?\}/g, '</$1>')
+        .replace(/\{[^}]*\}/g, '')
+        .replace(/\\[Nn]/g, '\n')
+        .replace(/\\h/g, ' ')
+        .trim();
+      if (!isNaN(start) && !isNaN(end) && plain) cues.push({ start, end, text: plain });
+    }
+  });
+  return cues.sort((a, b) => a.start - b.start);
+};
 
-    const tempDir = path.join(os.tmpdir(), `keyframes_${Date.now()}`);
-    ensureDirExists(tempDir);
-    const localVideoPath = path.join(tempDir, 'source.mp4');
+const parseSubtitles = (text, format) => {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  return (format || detectSubtitleFormat(normalized)) === 'ass' ? parseAss(normalized) : parseSrtOrVtt(normalized);
+};
 
-    const formatTimestampForFilename = (timeInSeconds, totalDuration) => {
-      const integerPadding = Math.floor(totalDuration).toString().length;
-      const parts = timeInSeconds.toFixed(3).split('.');
-      const seconds = parts[0].padStart(integerPadding, '0');
-      const milliseconds = parts[1];
-      return `${seconds}-${milliseconds}`;
-    };
+// Applies `time * scale + offset` and drops cues that end up before zero.
+const retimeCues = (cues, { offset = 0, scale = 1 }) => cues
+  .map(cue => ({ ...cue, start: Math.max(0, cue.start * scale + offset), end: cue.end * scale + offset }))
+  .filter(cue => cue.end > cue.start);
 
-    try {
-        console.log(`[Keyframes] Downloading video from: ${videoUrl}`);
-        const response = await axios({ method: 'get', url: videoUrl, responseType: 'stream' });
-        const writer = fs.createWriteStream(localVideoPath);
-        response.data.pipe(writer);
-        await new Promise((resolve, reject) => { writer.on('finish', resolve); writer.on('error', reject); });
-        
-        console.log('[Keyframes] Starting sequential frame extraction...');
-        
-        for (let i = 0; i < shots.length; i++) {
-            const shot = shots[i];
-            const shotNumber = i + 1;
-            const formattedStartTime = formatTimestampForFilename(shot.startTime, total_duration);
-            const formattedEndTime = formatTimestampForFilename(shot.endTime, total_duration);
-            const startFrameFile = `${formattedStartTime}_shot-${shotNumber}_start.jpg`;
-            const endFrameFile = `${formattedEndTime}_shot-${shotNumber}_end.jpg`;
-            
-            await new Promise((resolve, reject) => {
-                ffmpeg(localVideoPath).seekInput(shot.startTime).frames(1).output(path.join(tempDir, startFrameFile))
-                    .on('end', resolve).on('error', reject).run();
-            });
+// '#RRGGBB' (optionally '@opacity') -> ASS '&HAABBGGRR'.
+const toAssColor = (value) => {
+  const [hex, opacity = '1'] = value.split('@');
+  const alpha = Math.round((1 - Number(opacity)) * 255).toString(16).padStart(2, '0');
+  return `&H${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`.toUpperCase();
+};
+
+const formatAssTimestamp = (timeInSeconds) => {
+  const totalCs = Math.round(timeInSeconds * 100);
+  const pad = value => String(value).padStart(2, '0');
+  return `${Math.floor(totalCs / 360000)}:${pad(Math.floor((totalCs % 360000) / 6000))}:${pad(Math.floor((totalCs % 6000) / 100))}.${pad(totalCs % 100)}`;
+};
+
+// Renders cues as SRT, WebVTT or ASS. For ASS, `style` sets the Default
+// style and `playRes` the coordinate space font sizes are measured in.
+const serializeSubtitles = (cues, format, { style = {}, playRes = { width: 1920, height: 1080 } } = {}) => {
+  if (format === 'srt') {
+    return cues.map((cue, i) => `${i + 1}\n${formatVttTimestamp(cue.start).replace('.', ',')} --> ${formatVttTimestamp(cue.end).replace('.', ',')}\n${cue.text}\n`).join('\n');
+  }
+  if (format === 'vtt') {
+    return `WEBVTT\n\n${cues.map(cue => `${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}\n${cue.text}\n`).join('\n')}`;
+  }
+  const {
+    font = 'DejaVu Sans', fontSize = Math.round(playRes.height / 18), color = '#FFFFFF', outlineColor = '#000000',
+    outline = 2, position = 'bottom', marginV = Math.round(playRes.height / 20), bold = false,
+  } = style;
+  const toAssText = text => text
+    .replace(/<([ibu])>/g, '{\\$11}')
+    .replace(/<\/([ibu])>/g, '{\\$10}')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\n/g, '\\N');
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${playRes.width}`,
+    `PlayResY: ${playRes.height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Default,${font},${fontSize},${toAssColor(color)},${toAssColor(color)},${toAssColor(outlineColor)},&H80000000,${bold ? -1 : 0},0,0,0,100,100,0,0,1,${outline},0,${SUBTITLE_POSITIONS[position]},20,20,${marginV},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...cues.map(cue => `Dialogue: 0,${formatAssTimestamp(cue.start)},${formatAssTimestamp(cue.end)},Default,,0,0,0,,${toAssText(cue.text)}`),
+    '',
+  ].join('\n');
+};
+
+const validateSubtitleStyle = (style) => {
+  if (typeof style !== 'object' || style === null || Array.isArray(style)) return '"style" must be an object.';
+  const color = /^#[0-9a-fA-F]{6}(@(0(\.\d+)?|1(\.0+)?))?$/;
+  if (style.fontSize !== undefined && !(Number.isInteger(style.fontSize) && style.fontSize >= 8 && style.fontSize <= 400)) {
+    return '"style.fontSize" must be an integer between 8 and 400.';
+  }
+  if (style.color !== undefined && !color.test(style.color)) return '"style.color" must be "#RRGGBB", optionally followed by "@opacity".';
+  if (style.outlineColor !== undefined && !color.test(style.outlineColor)) return '"style.outlineColor" must be "#RRGGBB", optionally followed by "@opacity".';
+  if (style.outline !== undefined && !(typeof style.outline === 'number' && style.outline >= 0 && style.outline <= 20)) {
+    return '"style.outline" must be a number between 0 and 20.';
+  }
+  if (style.position !== undefined && !Object.hasOwn(SUBTITLE_POSITIONS, style.position)) {
+    return `"style.position" must be one of: ${Object.keys(SUBTITLE_POSITIONS).join(', ')}.`;
+  }
+  if (style.marginV !== undefined && !(Number.isInteger(style.marginV) && style.marginV >= 0)) return '"style.marginV" must be a non-negative integer.';
+  if (style.font !== undefined && !(typeof style.font === 'string' && /^[\w .-]{1,64}$/.test(style.font))) return '"style.font" must be a font family name.';
+  if (style.bold !== undefined && typeof style.bold !== 'boolean') return '"style.bold" must be a boolean.';
+  return null;
+};
+
+// Loads cues from inline `subtitles` text, `subtitlesUrl`, or (for convert)
+// the uploaded file.
+const loadSubtitleCues = async (ctx, body, { fromUpload = false } = {}) => {
+  let text = body.subtitles;
+  if (typeof text !== 'string') {
+    const { path: subtitlePath, size } = await ingestMedia(ctx, fromUpload ? undefined : body.subtitlesUrl, { resolver: 'direct' });
+    if (size > MAX_SUBTITLE_BYTES) throw createError(413, `Subtitle files are limited to ${MAX_SUBTITLE_BYTES / 1024 / 1024} MB.`);
+    text = fs.readFileSync(subtitlePath, 'utf8');
+  }
+  const cues = retimeCues(parseSubtitles(text, body.inputFormat), body);
+  if (cues.length === 0) throw createError(422, 'No subtitle cues could be parsed.');
+  return cues;
+};
+
+defineProcessingRoute('/subtitles', {
+    tag: 'Subtitles',
+    tempPrefix: 'subtitles',
+    errorMessage: 'Failed to process subtitles.',
+    validate: (body, file) => {
+        const { mode, videoUrl, subtitles, subtitlesUrl, inputFormat, format, offset, scale, language, container, style, streamIndex } = body;
+        if (!SUBTITLE_MODES.includes(mode)) {
+            return `"mode" must be one of: ${SUBTITLE_MODES.join(', ')}.`;
+        }
+        const hasSubtitles = typeof subtitles === 'string' || typeof subtitlesUrl === 'string';
+        if (mode === 'convert' && !hasSubtitles && !file) {
+            return 'Convert mode needs "subtitles" text, a "subtitlesUrl" or an uploaded "file".';
+        }
+        if (mode !== 'convert' && !videoUrl && !file) {
+            return 'Request body must include "videoUrl" (or an uploaded "file").';
+        }
+        if ((mode === 'burn' || mode === 'mux') && !hasSubtitles) {
+            return `${mode === 'burn' ? 'Burn' : 'Mux'} mode needs "subtitles" text or a "subtitlesUrl".`;
+        }
+        if (typeof subtitles === 'string' && Buffer.byteLength(subtitles) > MAX_SUBTITLE_BYTES) {
+            return `"subtitles" is limited to ${MAX_SUBTITLE_BYTES / 1024 / 1024} MB.`;
+        }
+        if (inputFormat !== undefined && !SUBTITLE_FORMATS.includes(inputFormat)) {
+            return `"inputFormat" must be one of: ${SUBTITLE_FORMATS.join(', ')}.`;
+        }
+        if (format !== undefined && !SUBTITLE_FORMATS.includes(format)) {
+            return `"format" must be one of: ${SUBTITLE_FORMATS.join(', ')}.`;
+        }
+        if (offset !== undefined && !(typeof offset === 'number' && isFinite(offset))) {
+            return '"offset" must be a number of seconds (negative to shift earlier).';
+        }
+        if (scale !== undefined && !(typeof scale === 'number' && scale > 0 && scale <= 10)) {
+            return '"scale" must be a positive number (e.g. 25 / 23.976 to retime between frame rates).';
+        }
+        if (language !== undefined && !(typeof language === 'string' && /^[a-z]{3}$/.test(language))) {
+            return '"language" must be an ISO 639-2 code such as "eng".';
+        }
+        if (container !== undefined && !Object.hasOwn(SUBTITLE_CONTAINERS, container)) {
+            return `"container" must be one of: ${Object.keys(SUBTITLE_CONTAINERS).join(', ')}.`;
+        }
+        if (streamIndex !== undefined && !(Number.isInteger(streamIndex) && streamIndex >= 0)) {
+            return '"streamIndex" must be a zero-based subtitle stream index.';
+        }
+        return style !== undefined ? validateSubtitleStyle(style) : null;
+    },
+    handler: async (body, ctx) => {
+        const { mode } = body;
+        console.log(`[Subtitles] Received ${mode} request.`);
+        const tempDir = ctx.tempDir;
+
+        if (mode === 'convert') {
+            const format = body.format || 'vtt';
+            const cues = await loadSubtitleCues(ctx, body, { fromUpload: !body.subtitles && !body.subtitlesUrl });
+            const outputPath = path.join(tempDir, `subtitles.${format}`);
+            fs.writeFileSync(outputPath, serializeSubtitles(cues, format, { style: body.style }));
+            const subtitlesUrl = await uploadOutput(outputPath, `subtitles/${Date.now()}-subtitles.${format}`, ctx);
+            console.log(`[Subtitles] Converted ${cues.length} cues to ${format}.`);
+            return { success: true, subtitlesUrl, format, cueCount: cues.length };
+        }
+
+        const { path: localVideoPath } = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver });
+        console.log('[Subtitles] Video downloaded successfully.');
+        ctx.setProgress(10);
+
+        if (mode === 'extract') {
+            const metadata = await probeMedia(localVideoPath);
+            const streams = metadata.streams.filter(s => s.codec_type === 'subtitle');
+            const selected = body.streamIndex === undefined ? streams.map((stream, i) => i) : [body.streamIndex];
+            if (selected.some(i => !streams[i])) {
+                throw createError(422, `Subtitle stream ${body.streamIndex} does not exist (found ${streams.length}).`);
+            }
+
+            const subtitleTracks = [];
+            for (const i of selected) {
+                const stream = streams[i];
+                const track = { streamIndex: i, codec: stream.codec_name, language: (stream.tags && stream.tags.language) || null };
+                if (BITMAP_SUBTITLE_CODECS.includes(stream.codec_name)) {
+                    subtitleTracks.push({ ...track, error: 'Picture-based subtitles cannot be converted to WebVTT.' });
+                    continue;
+                }
+                const outputPath = path.join(tempDir, `track_${i}.vtt`);
+                await new Promise((resolve, reject) => {
+                    ctx.track(ffmpeg(localVideoPath))
+                        .outputOptions(['-map', `0:s:${i}`, '-c:s', 'webvtt'])
+                        .output(outputPath)
+                        .on('end', resolve)
+                        .on('error', (err) => reject(new Error(`FFmpeg subtitle extraction error: ${err.message}`)))
+                        .run();
+                });
+                if (body.offset || (body.scale && body.scale !== 1)) {
+                    const cues = retimeCues(parseSubtitles(fs.readFileSync(outputPath, 'utf8'), 'vtt'), body);
+                    fs.writeFileSync(outputPath, serializeSubtitles(cues, 'vtt'));
+                }
+                track.url = await uploadOutput(outputPath, `subtitles/${Date.now()}-track_${i}${track.language ? `.${track.language}` : ''}.vtt`, ctx);
+                subtitleTracks.push(track);
+                ctx.setProgress(10 + 85 * (subtitleTracks.length / selected.length));
+            }
+            console.log(`[Subtitles] Extracted ${subtitleTracks.filter(track => track.url).length} of ${streams.length} subtitle tracks.`);
+            return { success: true, subtitleTracks };
+        }
+
+        const cues = await loadSubtitleCues(ctx, body);
+        let outputPath;
+        if (mode === 'burn') {
+            // Cues are rendered as ASS sized to the video, so style values are
+            // in output pixels.
+            const { width, height } = await getVideoDimensions(localVideoPath);
+            const assPath = path.join(tempDir, 'burn.ass');
+            fs.writeFileSync(assPath, serializeSubtitles(cues, 'ass', { style: body.style, playRes: { width, height } }));
+            outputPath = path.join(tempDir, 'subtitled.mp4');
+            console.log(`[Subtitles] Burning ${cues.length} cues into the video...`);
             await new Promise((resolve, reject) => {
-                ffmpeg(localVideoPath).seekInput(shot.endTime).frames(1).output(path.join(tempDir, endFrameFile))
-                    .on('end', resolve).on('error', reject).run();
+                ctx.track(ffmpeg(localVideoPath), { progress: [10, 90] })
+                    .videoFilters(`ass=${assPath}`)
+                    .outputOptions(['-map', '0:v:0', '-map', '0:a?', '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p', '-c:a', 'copy', '-movflags', '+faststart'])
+                    .output(outputPath)
+                    .on('end', resolve)
+                    .on('error', (err) => reject(new Error(`FFmpeg burn-in error: ${err.message}`)))
+                    .run();
             });
-        }
-        console.log('[Keyframes] Shot boundary frame extraction complete.');
-        
-        console.log('[Keyframes] Starting precise extraction of interval frames (every 0.5s)...');
-        for (let timeInSeconds = 0.5; timeInSeconds < total_duration; timeInSeconds += 0.5) {
-            const formattedIntervalTime = formatTimestampForFilename(timeInSeconds, total_duration);
-            const intervalFrameFile = `${formattedIntervalTime}_interval.jpg`;
-            
+        } else {
+            const container = body.container || 'mp4';
+            const subtitlePath = path.join(tempDir, 'track.ass');
+            fs.writeFileSync(subtitlePath, serializeSubtitles(cues, 'ass', { style: body.style }));
+            outputPath = path.join(tempDir, `subtitled.${container}`);
+            let codecOptions = ['-c', 'copy'];
+            if (container === 'webm') {
+                const { streams } = await probeMedia(localVideoPath);
+                const compatible = streams.every(stream => (stream.codec_type === 'video' ? WEBM_VIDEO_CODECS.includes(stream.codec_name)
+                    : stream.codec_type !== 'audio' || WEBM_AUDIO_CODECS.includes(stream.codec_name)));
+                if (!compatible) {
+                    console.log('[Subtitles] Source codecs are not WebM-compatible, re-encoding to VP9/Opus...');
+                    codecOptions = ENCODE_PRESETS.webm().options;
+                }
+            }
+            console.log(`[Subtitles] Muxing ${cues.length} cues as a ${body.language || 'und'} soft subtitle track...`);
             await new Promise((resolve, reject) => {
-                ffmpeg(localVideoPath)
-                    .seekInput(timeInSeconds)
-                    .frames(1)
-                    .output(path.join(tempDir, intervalFrameFile))
+                ctx.track(ffmpeg(localVideoPath), { progress: [10, 90] })
+                    .input(subtitlePath)
+                    .outputOptions([
+                        '-map', '0:v', '-map', '0:a?', '-map', '1:s',
+                        ...codecOptions, '-c:s', SUBTITLE_CONTAINERS[container].codec,
+                        '-metadata:s:s:0', `language=${body.language || 'und'}`,
+                        ...(container === 'mp4' ? ['-movflags', '+faststart'] : []),
+                    ])
+                    .output(outputPath)
                     .on('end', resolve)
-                    .on('error', reject)
+                    .on('error', (err) => reject(new Error(`FFmpeg subtitle mux error: ${err.message}`)))
                     .run();
             });
         }
-        console.log('[Keyframes] Precise interval frame extraction complete.');
+        ctx.throwIfCancelled();
 
-        const generatedFiles = fs.readdirSync(tempDir).filter(f => f.endsWith('.jpg'));
-        console.log(`[Keyframes] Found ${generatedFiles.length} frames to upload.`);
-        
-        const uploadPromises = generatedFiles.map(filename => {
-            const localFilePath = path.join(tempDir, filename);
-            const gcsDestination = `keyframes/${filename}`;
-            return storage.bucket(bucketName).upload(localFilePath, { destination: gcsDestination });
-        });
-        const uploadResults = await Promise.all(uploadPromises);
-        
-        const keyframeUrls = uploadResults.map(result => result[0].publicUrl());
-        res.status(200).json({ success: true, keyframeUrls: keyframeUrls });
-    } catch (error) {
-        console.error('[Keyframes] A critical error occurred:', error.message);
-        res.status(500).json({ error: 'Failed to process keyframes.' });
-    } finally {
-        if (fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-        }
-    }
+        const videoUrl = await uploadOutput(outputPath, `subtitles/${Date.now()}-${path.basename(outputPath)}`, ctx);
+        console.log('[Subtitles] Upload to storage successful.');
+        return { success: true, videoUrl, cueCount: cues.length };
+    },
 });
 
-
 // =================================================================
-// === ROUTE 4: RECOMBINE AUDIO STEMS API                        ===
+// === ROUTE 14: VIDEO QUALITY COMPARISON API                    ===
 // =================================================================
-app.post('/recombine-stems', async (req, res) => {
-    console.log('[Recombine] Received request.');
-    const { drumsUrl, bassUrl, otherUrl } = req.body;
-    if (!drumsUrl || !bassUrl || !otherUrl) {
-        return res.status(400).json({ error: 'Request body must include "drumsUrl", "bassUrl", and "otherUrl".' });
-    }
-
-    const tempDir = path.join(os.tmpdir(), `recombine_${Date.now()}`);
-    ensureDirExists(tempDir);
-    const drumsPath = path.join(tempDir, 'drums.wav');
-    const bassPath = path.join(tempDir, 'bass.wav');
-    const otherPath = path.join(tempDir, 'other.wav');
-    const soundscapePath = path.join(tempDir, 'soundscape.wav');
-    
-    const downloadFile = async (url, outputPath) => {
-        const writer = fs.createWriteStream(outputPath);
-        const response = await axios({ method: 'get', url, responseType: 'stream' });
-        response.data.pipe(writer);
-        return new Promise((resolve, reject) => { writer.on('finish', resolve); writer.on('error', reject); });
-    };
+const QUALITY_METRICS = ['psnr', 'ssim', 'vmaf'];
+const QUALITY_REPORT_FORMATS = ['json', 'csv'];
 
+// Whether this ffmpeg build has the libvmaf filter; checked once.
+let libvmafAvailable = null;
+const hasLibvmaf = async () => {
+  if (libvmafAvailable === null) {
     try {
-        console.log('[Recombine] Downloading stems...');
-        await Promise.all([
-            downloadFile(drumsUrl, drumsPath),
-            downloadFile(bassUrl, bassPath),
-            downloadFile(otherUrl, otherPath)
-        ]);
-        
-        console.log('[Recombine] Mixing stems...');
-        await new Promise((resolve, reject) => {
-            ffmpeg().input(drumsPath).input(bassPath).input(otherUrl)
-                .complexFilter('[0:a][1:a][2:a]amix=inputs=3:duration=first')
-                .on('end', resolve)
-                .on('error', (err) => reject(new Error(`FFmpeg mixdown error: ${err.message}`)))
-                .save(soundscapePath);
-        });
-        
-        const gcsDestination = `soundscapes/${Date.now()}-soundscape.wav`;
-        const [file] = await storage.bucket(bucketName).upload(soundscapePath, { destination: gcsDestination });
-        
-        console.log('[Recombine] Upload to GCS successful.');
-        res.status(200).json({ success: true, soundscapeUrl: file.publicUrl() });
+      const { stdout } = await execFileAsync(FFMPEG_PATH, ['-hide_banner', '-filters'], { maxBuffer: 4 * 1024 * 1024 });
+      libvmafAvailable = /^\s*\S+\s+libvmaf\s/m.test(stdout);
     } catch (error) {
-        console.error('[Recombine] A critical error occurred:', error.message);
-        res.status(500).json({ error: 'Failed to process audio stems.' });
-    } finally {
-        if (fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-        }
+      libvmafAvailable = false;
     }
-});
+  }
+  return libvmafAvailable;
+};
 
-// =================================================================
-// === ROUTE 5: EXTRACT FACE THUMBNAILS API                    ===
-// =================================================================
-app.post('/extract-face-thumbnails', async (req, res) => {
-    console.log('[Faces] Received request to extract face thumbnails.');
-    const { videoUrl, faceAnnotations } = req.body;
+// "n:1 psnr_y:41.2 psnr_u:inf" -> { n: 1, psnr_y: 41.2, psnr_u: null }.
+// Identical frames have infinite PSNR, which JSON cannot carry.
+const parseMetricFields = (line) => {
+  const fields = {};
+  const pattern = /(\w+):(-?[\d.]+|inf)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    fields[match[1]] = match[2] === 'inf' ? null : Number(match[2]);
+  }
+  return fields;
+};
 
-    if (!videoUrl || !faceAnnotations || !Array.isArray(faceAnnotations)) {
-        return res.status(400).json({ error: 'Request body must include "videoUrl" and a "faceAnnotations" array.' });
-    }
+const readStatsFile = filePath => (fs.existsSync(filePath)
+  ? fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim()).map(parseMetricFields)
+  : []);
 
-    const tempDir = path.join(os.tmpdir(), `faces_${Date.now()}`);
-    ensureDirExists(tempDir);
-    const localVideoPath = path.join(tempDir, 'source.mp4');
+// libvmaf 2.x pools scores under `pooled_metrics`; 1.x under `aggregate`.
+const parseVmafLog = (filePath) => {
+  const log = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const pooled = log.pooled_metrics && log.pooled_metrics.vmaf;
+  const frames = (log.frames || []).map(frame => frame.metrics.vmaf);
+  return {
+    aggregate: pooled
+      ? { mean: pooled.mean, min: pooled.min, max: pooled.max, harmonic_mean: pooled.harmonic_mean }
+      : { mean: log.aggregate ? log.aggregate.VMAF_score : null, min: Math.min(...frames), max: Math.max(...frames) },
+    frames,
+  };
+};
 
-    try {
-        console.log(`[Faces] Downloading video from: ${videoUrl}`);
-        const response = await axios({ method: 'get', url: videoUrl, responseType: 'stream' });
-        const writer = fs.createWriteStream(localVideoPath);
-        response.data.pipe(writer);
-        await new Promise((resolve, reject) => { writer.on('finish', resolve); writer.on('error', reject); });
-        console.log('[Faces] Video downloaded successfully.');
+const perFrameCsv = (frames, metrics) => {
+  const columns = ['frame'];
+  if (metrics.includes('psnr')) columns.push('psnr_y', 'psnr_u', 'psnr_v', 'psnr_avg');
+  if (metrics.includes('ssim')) columns.push('ssim_y', 'ssim_u', 'ssim_v', 'ssim_all');
+  if (metrics.includes('vmaf')) columns.push('vmaf');
+  const value = (frame, column) => {
+    if (column === 'frame') return frame.frame;
+    if (column === 'vmaf') return frame.vmaf;
+    const [metric, key] = column.split('_');
+    return frame[metric] ? frame[metric][key] : undefined;
+  };
+  return [columns.join(','), ...frames.map(frame => columns.map((column) => {
+    const cell = value(frame, column);
+    return cell === undefined || cell === null ? '' : cell;
+  }).join(','))].join('\n') + '\n';
+};
 
-        const metadata = await new Promise((resolve, reject) => {
-            ffmpeg.ffprobe(localVideoPath, (err, data) => {
-                if (err) return reject(new Error(`ffprobe error: ${err.message}`));
-                resolve(data);
-            });
-        });
-        const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-        if (!videoStream || !videoStream.width || !videoStream.height) {
-            throw new Error("Could not determine video dimensions.");
+defineProcessingRoute('/compare-quality', {
+    tag: 'Quality',
+    tempPrefix: 'quality',
+    errorMessage: 'Failed to compare video quality.',
+    validate: (body) => {
+        const { referenceUrl, referenceMediaId, distortedUrl, distortedMediaId, metrics, report, perFrame } = body;
+        if ((!referenceUrl && !referenceMediaId) || (!distortedUrl && !distortedMediaId)) {
+            return 'Request body must include "referenceUrl" (or "referenceMediaId") and "distortedUrl" (or "distortedMediaId").';
         }
-        const videoWidth = videoStream.width;
-        const videoHeight = videoStream.height;
-        console.log(`[Faces] Video dimensions: ${videoWidth}x${videoHeight}`);
-        
-        const generatedFiles = [];
+        if (metrics !== undefined && !(Array.isArray(metrics) && metrics.length > 0 && metrics.every(metric => QUALITY_METRICS.includes(metric)))) {
+            return `"metrics" must be a non-empty array of: ${QUALITY_METRICS.join(', ')}.`;
+        }
+        if (report !== undefined && !QUALITY_REPORT_FORMATS.includes(report)) {
+            return `"report" must be one of: ${QUALITY_REPORT_FORMATS.join(', ')}.`;
+        }
+        if (perFrame !== undefined && typeof perFrame !== 'boolean') {
+            return '"perFrame" must be a boolean.';
+        }
+        return null;
+    },
+    handler: async (body, ctx) => {
+        console.log('[Quality] Received request to compare video quality.');
+        const tempDir = ctx.tempDir;
+        const { report, perFrame = true } = body;
 
-        console.log(`[Faces] Starting extraction for ${faceAnnotations.length} detected face tracks...`);
-        for (const face of faceAnnotations) {
-            if (!face.timeSegments || face.timeSegments.length === 0) continue;
-            const segment = face.timeSegments[0];
-            const timestamp = segment.startTime + ((segment.endTime - segment.startTime) / 2);
+        // VMAF is only computed when this ffmpeg build supports it; asking
+        // for it explicitly on a build without libvmaf is an error.
+        const vmafSupported = await hasLibvmaf();
+        if (body.metrics && body.metrics.includes('vmaf') && !vmafSupported) {
+            throw createError(422, 'VMAF was requested but this ffmpeg build does not include libvmaf.');
+        }
+        const metrics = body.metrics || QUALITY_METRICS.filter(metric => metric !== 'vmaf' || vmafSupported);
 
-            const box = face.normalizedBoundingBox;
-            const cropWidth = Math.round((box.right - box.left) * videoWidth);
-            const cropHeight = Math.round((box.bottom - box.top) * videoHeight);
-            const cropX = Math.round(box.left * videoWidth);
-            const cropY = Math.round(box.top * videoHeight);
+        const reference = await ingestMedia(ctx, body.referenceUrl, { resolver: body.resolver, mediaId: body.referenceMediaId });
+        const distorted = await ingestMedia(ctx, body.distortedUrl, { resolver: body.resolver, mediaId: body.distortedMediaId });
+        console.log('[Quality] Reference and distorted videos downloaded.');
+        ctx.setProgress(10);
 
-            const outputFilename = `${face.faceId}_at_${timestamp.toFixed(2)}s.jpg`;
-            const outputFilePath = path.join(tempDir, outputFilename);
-            generatedFiles.push(outputFilename);
-            
-            await new Promise((resolve, reject) => {
-                ffmpeg(localVideoPath)
-                    .seekInput(timestamp)
-                    .videoFilter(`crop=${cropWidth}:${cropHeight}:${cropX}:${cropY}`)
-                    .frames(1)
-                    .output(outputFilePath)
-                    .on('end', resolve)
-                    .on('error', reject)
-                    .run();
-            });
+        const referenceInfo = await probeMedia(reference.path);
+        const referenceStream = referenceInfo.streams.find(s => s.codec_type === 'video');
+        const distortedStream = (await probeMedia(distorted.path)).streams.find(s => s.codec_type === 'video');
+        if (!referenceStream || !distortedStream) {
+            throw createError(422, 'Both inputs must contain a video stream.');
         }
-        console.log('[Faces] All face thumbnails extracted.');
+        const { width, height } = await getVideoDimensions(reference.path);
+        const frameRate = referenceStream.avg_frame_rate && referenceStream.avg_frame_rate !== '0/0'
+            ? referenceStream.avg_frame_rate
+            : referenceStream.r_frame_rate;
+
+        // The distorted video is scaled to the reference resolution and
+        // resampled to its frame rate so frames pair up one to one.
+        const count = metrics.length;
+        const filters = [
+            `[0:v]setpts=PTS-STARTPTS,scale=${width}:${height}:flags=bicubic,fps=${frameRate},format=yuv420p${count > 1 ? `,split=${count}` : ''}${metrics.map(metric => `[dist_${metric}]`).join('')}`,
+            `[1:v]setpts=PTS-STARTPTS,fps=${frameRate},format=yuv420p${count > 1 ? `,split=${count}` : ''}${metrics.map(metric => `[ref_${metric}]`).join('')}`,
+        ];
+        const statsPaths = {
+            psnr: path.join(tempDir, 'psnr.log'),
+            ssim: path.join(tempDir, 'ssim.log'),
+            vmaf: path.join(tempDir, 'vmaf.json'),
+        };
+        const metricFilters = {
+            psnr: `psnr=stats_file=${statsPaths.psnr}:shortest=1`,
+            ssim: `ssim=stats_file=${statsPaths.ssim}:shortest=1`,
+            vmaf: `libvmaf=log_path=${statsPaths.vmaf}:log_fmt=json:shortest=1`,
+        };
+        metrics.forEach(metric => filters.push(`[dist_${metric}][ref_${metric}]${metricFilters[metric]}[out_${metric}]`));
 
-        console.log(`[Faces] Uploading ${generatedFiles.length} files to GCS...`);
-        const uploadPromises = generatedFiles.map(filename => {
-            const localFilePath = path.join(tempDir, filename);
-            const gcsDestination = `face_thumbnails/${filename}`;
-            return storage.bucket(bucketName).upload(localFilePath, { destination: gcsDestination });
+        const summaries = {};
+        console.log(`[Quality] Computing ${metrics.join(', ')} at ${width}x${height}@${frameRate}...`);
+        await new Promise((resolve, reject) => {
+            ctx.track(ffmpeg(distorted.path), { progress: [10, 90] })
+                .input(reference.path)
+                .complexFilter(filters)
+                .outputOptions([...metrics.flatMap(metric => ['-map', `[out_${metric}]`]), '-f', 'null'])
+                .output('-')
+                .on('stderr', (line) => {
+                    if (/\bPSNR y:/.test(line)) summaries.psnr = parseMetricFields(line.slice(line.indexOf('PSNR')));
+                    if (/\bSSIM Y:/.test(line)) summaries.ssim = parseMetricFields(line.slice(line.indexOf('SSIM')).replace(/\s*\([^)]*\)/g, ''));
+                })
+                .on('end', resolve)
+                .on('error', (err) => reject(new Error(`FFmpeg quality error: ${err.message}`)))
+                .run();
         });
-        const uploadResults = await Promise.all(uploadPromises);
-        
-        const thumbnailUrlUrls = uploadResults.map(result => result[0].publicUrl());
-        
-        res.status(200).json({ success: true, faceThumbnailUrls: thumbnailUrlUrls });
+        ctx.throwIfCancelled();
 
-    } catch (error) {
-        console.error('[Faces] A critical error occurred:', error.message);
-        res.status(500).json({ error: 'Failed to process face thumbnails.' });
-    } finally {
-        if (fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
+        const frames = [];
+        const frameAt = (index) => {
+            if (!frames[index]) frames[index] = { frame: index };
+            return frames[index];
+        };
+        const result = { success: true, width, height, frameRate, metrics: {} };
+        if (metrics.includes('psnr')) {
+            readStatsFile(statsPaths.psnr).forEach((fields, i) => {
+                frameAt(i).psnr = { y: fields.psnr_y, u: fields.psnr_u, v: fields.psnr_v, avg: fields.psnr_avg };
+            });
+            const summary = summaries.psnr || {};
+            result.metrics.psnr = { y: summary.y, u: summary.u, v: summary.v, average: summary.average, min: summary.min, max: summary.max };
         }
-    }
-});
+        if (metrics.includes('ssim')) {
+            readStatsFile(statsPaths.ssim).forEach((fields, i) => {
+                frameAt(i).ssim = { y: fields.Y, u: fields.U, v: fields.V, all: fields.All };
+            });
+            const summary = summaries.ssim || {};
+            result.metrics.ssim = { y: summary.Y, u: summary.U, v: summary.V, all: summary.All };
+        }
+        if (metrics.includes('vmaf')) {
+            const vmaf = parseVmafLog(statsPaths.vmaf);
+            vmaf.frames.forEach((score, i) => { frameAt(i).vmaf = score; });
+            result.metrics.vmaf = vmaf.aggregate;
+        }
+        result.frameCount = frames.length;
+        result.vmafAvailable = vmafSupported;
+        console.log(`[Quality] Compared ${frames.length} frames.`);
 
+        if (report) {
+            const reportPath = path.join(tempDir, `quality_report.${report}`);
+            fs.writeFileSync(reportPath, report === 'csv'
+                ? perFrameCsv(frames, metrics)
+                : JSON.stringify({ width, height, frameRate, metrics: result.metrics, frames }, null, 2));
+            result.reportUrl = await uploadOutput(reportPath, `quality/${Date.now()}-quality_report.${report}`, ctx);
+            console.log('[Quality] Report uploaded to storage.');
+        }
+        if (perFrame) result.frames = frames;
+        return result;
+    },
+});
 
 // =================================================================
-// === ROUTE 6: SPLIT VIDEO BY SCENE API                         ===
+// === ROUTE 15: PIPELINE API                                    ===
 // =================================================================
-app.post('/split-by-scene', async (req, res) => {
-    console.log('[Scene Split] Received request to split video by scenes.');
-    const { videoUrl, sceneAnnotations } = req.body;
+const MAX_PIPELINE_STEPS = 20;
+// Request-level options that belong to the pipeline, not to its steps.
+const PIPELINE_ONLY_FIELDS = ['async', 'callbackUrl', 'signedUrls'];
+
+// Every `{ "$ref": "stepId.path.to[0].value" }` in `value`, as strings.
+const collectRefs = (value, refs = []) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.$ref === 'string') refs.push(value.$ref);
+    else Object.values(value).forEach(item => collectRefs(item, refs));
+  }
+  return refs;
+};
 
-    if (!videoUrl || !sceneAnnotations || !Array.isArray(sceneAnnotations)) {
-        return res.status(400).json({ error: 'Request body must include "videoUrl" and a "sceneAnnotations" array.' });
+const refStepId = ref => ref.split(/[.[]/)[0];
+
+// Replaces every `$ref` in `value` with the referenced part of an earlier
+// step's result.
+const resolveRefs = (value, results) => {
+  if (Array.isArray(value)) return value.map(item => resolveRefs(item, results));
+  if (!value || typeof value !== 'object') return value;
+  if (typeof value.$ref === 'string') {
+    const [stepId, ...keys] = value.$ref.split(/[.[\]]/).filter(Boolean);
+    const resolved = keys.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), results[stepId]);
+    if (resolved === undefined) {
+      throw createError(422, `Reference "${value.$ref}" did not resolve to a value.`);
     }
+    return resolved;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveRefs(item, results)]));
+};
 
-    const tempDir = path.join(os.tmpdir(), `scenes_${Date.now()}`);
-    ensureDirExists(tempDir);
-    const localVideoPath = path.join(tempDir, 'source.mp4');
+// Every string inside `value`, e.g. the URLs a `$ref` picked out of a result.
+const collectStrings = (value, strings = []) => {
+  if (typeof value === 'string') strings.push(value);
+  else if (Array.isArray(value)) value.forEach(item => collectStrings(item, strings));
+  else if (value && typeof value === 'object') Object.values(value).forEach(item => collectStrings(item, strings));
+  return strings;
+};
 
+// Seeds the media cache with the outputs of a step that later steps
+// reference, so those steps read them locally instead of downloading them.
+// `outputs` maps each uploaded URL to its local file. Seeding is only an
+// optimization: a failure leaves the later step to download the URL.
+const seedReferencedOutputs = async (stepId, result, refs, outputs) => {
+  const urls = new Set(refs.flatMap((ref) => {
     try {
-        console.log(`[Scene Split] Downloading video from: ${videoUrl}`);
-        const response = await axios({ method: 'get', url: videoUrl, responseType: 'stream' });
-        const writer = fs.createWriteStream(localVideoPath);
-        response.data.pipe(writer);
-        await new Promise((resolve, reject) => { writer.on('finish', resolve); writer.on('error', reject); });
-        console.log('[Scene Split] Video downloaded successfully.');
+      return collectStrings(resolveRefs({ $ref: ref }, { [stepId]: result }));
+    } catch (error) {
+      return [];
+    }
+  }).filter(url => outputs.has(url)));
+  for (const url of urls) {
+    try {
+      await seedMediaCache(outputs.get(url), url);
+    } catch (error) {
+      console.warn(`[Pipeline] Could not cache output ${url}:`, error.message);
+    }
+  }
+};
 
-        const generatedFiles = [];
+// Step ids in execution order: the listed order, except that a step always
+// runs after the steps it depends on. Returns null on a dependency cycle.
+const orderSteps = (steps, dependencies) => {
+  const order = [];
+  const state = {};
+  const visit = (id) => {
+    if (state[id] === 'done') return true;
+    if (state[id] === 'visiting') return false;
+    state[id] = 'visiting';
+    if (!dependencies[id].every(visit)) return false;
+    state[id] = 'done';
+    order.push(id);
+    return true;
+  };
+  return steps.every(step => visit(step.id)) ? order : null;
+};
 
-        console.log(`[Scene Split] Starting scene splitting for ${sceneAnnotations.length} scenes...`);
-        for (let i = 0; i < sceneAnnotations.length; i++) {
-            const scene = sceneAnnotations[i];
-            const startTime = scene.startTime.endsWith('s') ? scene.startTime.slice(0, -1) : scene.startTime;
-            const endTime = scene.endTime.endsWith('s') ? scene.endTime.slice(0, -1) : scene.endTime;
-            const duration = parseFloat(endTime) - parseFloat(startTime);
+const stepDependencies = step => [...new Set([...(step.dependsOn || []), ...collectRefs(step.params || {}).map(refStepId)])];
 
-            if (isNaN(duration) || duration <= 0) {
-                console.warn(`[Scene Split] Skipping invalid scene segment: ${JSON.stringify(scene)}`);
+const validatePipeline = (body, file) => {
+  const details = [];
+  const fail = (fieldPath, message) => details.push({ path: fieldPath, message });
+  const { steps } = body;
+  const hasSource = Boolean(body.videoUrl || body.mediaId || file);
+
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_PIPELINE_STEPS) {
+    fail('steps', `must be an array of 1 to ${MAX_PIPELINE_STEPS} steps.`);
+    return details;
+  }
+
+  const ids = new Set();
+  steps.forEach((step, i) => {
+    const stepPath = `steps[${i}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      fail(stepPath, 'must be an object.');
+      return;
+    }
+    if (typeof step.id !== 'string' || !/^[\w-]{1,64}$/.test(step.id)) {
+      fail(`${stepPath}.id`, 'must be 1-64 letters, digits, "_" or "-".');
+    } else if (ids.has(step.id)) {
+      fail(`${stepPath}.id`, `duplicates an earlier step id "${step.id}".`);
+    } else {
+      ids.add(step.id);
+    }
+    if (!operations.has(step.operation) || step.operation === 'pipeline') {
+      fail(`${stepPath}.operation`, `must be one of: ${[...operations.keys()].filter(name => name !== 'pipeline').join(', ')}.`);
+    }
+    if (step.params !== undefined && (!step.params || typeof step.params !== 'object' || Array.isArray(step.params))) {
+      fail(`${stepPath}.params`, 'must be an object.');
+    }
+    if (step.dependsOn !== undefined && !(Array.isArray(step.dependsOn) && step.dependsOn.every(id => typeof id === 'string'))) {
+      fail(`${stepPath}.dependsOn`, 'must be an array of step ids.');
+    }
+  });
+  if (details.length > 0) return details;
+
+  let dependenciesKnown = true;
+  steps.forEach((step, i) => {
+    stepDependencies(step).forEach((id) => {
+      if (!ids.has(id)) {
+        fail(`steps[${i}]`, `depends on unknown step "${id}".`);
+        dependenciesKnown = false;
+      }
+    });
+    // Steps whose parameters are fully known up front are checked now;
+    // the rest once their references resolve.
+    if (collectRefs(step.params || {}).length === 0) {
+      const message = operations.get(step.operation).validate({ ...step.params }, hasSource ? { shared: true } : null);
+      if (typeof message === 'string') fail(`steps[${i}].params`, message);
+      else if (message) (message.details || [{ path: '', message: message.error }]).forEach(detail => fail(`steps[${i}].params${detail.path ? `.${detail.path}` : ''}`, detail.message));
+    }
+  });
+  if (dependenciesKnown) {
+    const dependencies = Object.fromEntries(steps.map(step => [step.id, stepDependencies(step)]));
+    if (!orderSteps(steps, dependencies)) fail('steps', 'contain a dependency cycle.');
+  }
+  return details;
+};
+
+defineProcessingRoute('/pipeline', {
+    tag: 'Pipeline',
+    tempPrefix: 'pipeline',
+    errorMessage: 'Failed to run pipeline.',
+    validate: (body, file) => {
+        const details = validatePipeline(body, file);
+        return details.length > 0 ? { error: 'Invalid pipeline.', details } : null;
+    },
+    handler: async (body, ctx) => {
+        const { steps } = body;
+        console.log(`[Pipeline] Received pipeline with ${steps.length} steps.`);
+
+        // The shared source is fetched once; every step without a source of
+        // its own reads the same cached file.
+        if (body.videoUrl || body.mediaId || ctx.uploadedFile) {
+            const source = await ingestMedia(ctx, body.videoUrl, { resolver: body.resolver, mediaId: body.mediaId });
+            ctx.sourceMediaId = source.mediaId;
+            console.log(`[Pipeline] Source ingested as ${source.mediaId}.`);
+        }
+        ctx.setProgress(5);
+
+        const dependencies = Object.fromEntries(steps.map(step => [step.id, stepDependencies(step)]));
+        // The `$ref`s pointing into each step's result.
+        const refsByStep = {};
+        steps.forEach(step => collectRefs(step.params || {}).forEach((ref) => {
+            (refsByStep[refStepId(ref)] = refsByStep[refStepId(ref)] || []).push(ref);
+        }));
+        const order = orderSteps(steps, dependencies);
+        const stepsById = Object.fromEntries(steps.map(step => [step.id, step]));
+        const results = {};
+        const report = {};
+
+        for (let i = 0; i < order.length; i++) {
+            const step = stepsById[order[i]];
+            const operation = operations.get(step.operation);
+            const entry = { operation: step.operation, status: 'pending', durationMs: null, result: null, error: null, errorCode: null };
+            report[step.id] = entry;
+            ctx.throwIfCancelled();
+
+            const failedDependency = dependencies[step.id].find(id => report[id].status !== 'succeeded');
+            if (failedDependency) {
+                Object.assign(entry, { status: 'skipped', error: `Skipped because step "${failedDependency}" did not succeed.` });
+                console.log(`[Pipeline] Step ${step.id} skipped (${failedDependency} did not succeed).`);
                 continue;
             }
 
-            const outputFilename = `scene_${i + 1}_${startTime}s_to_${endTime}s.mp4`;
-            const outputFilePath = path.join(tempDir, outputFilename);
-            
-            await new Promise((resolve, reject) => {
-                ffmpeg(localVideoPath)
-                    .setStartTime(startTime)
-                    .setDuration(duration)
-                    .outputOptions('-c', 'copy') // Use stream copy to avoid re-encoding for speed
-                    .output(outputFilePath)
-                    .on('end', () => {
-                        generatedFiles.push(outputFilename);
-                        resolve();
-                    })
-                    .on('error', (err) => {
-                        console.error(`[Scene Split] FFmpeg error for scene ${i+1}: ${err.message}`);
-                        reject(err);
-                    })
-                    .run();
-            });
+            const startedAt = Date.now();
+            const child = ctx.createChild({ onProgress: (percent) => ctx.setProgress(5 + 95 * ((i + percent / 100) / order.length)) });
+            child.route = `/${step.operation}`;
+            const outputs = new Map();
+            const refs = refsByStep[step.id] || [];
+            if (refs.length > 0) child.onOutput = (localPath, url) => { outputs.set(url, localPath); };
+            try {
+                const stepBody = resolveRefs(step.params || {}, results);
+                PIPELINE_ONLY_FIELDS.forEach((field) => { delete stepBody[field]; });
+                const validationError = operation.validate(stepBody, ctx.sourceMediaId ? { shared: true } : null);
+                if (validationError) {
+                    throw tagError(createError(400, typeof validationError === 'string' ? validationError : validationError.error), 'VALIDATION_FAILED');
+                }
+                console.log(`[Pipeline] Running step ${step.id} (${step.operation})...`);
+                // Seeding runs before runHandler removes the step's temp files.
+                results[step.id] = await runHandler(async (handlerBody, handlerCtx) => {
+                    const result = await operation.handler(handlerBody, handlerCtx);
+                    await seedReferencedOutputs(step.id, result, refs, outputs);
+                    return result;
+                }, stepBody, child, operation.tempPrefix);
+                Object.assign(entry, { status: 'succeeded', result: results[step.id] });
+            } catch (error) {
+                if (ctx.cancelled) throw error;
+                console.error(`[Pipeline] Step ${step.id} failed:`, error.message);
+                const { code, message } = describeFailure(error, child, operation.errorMessage);
+                Object.assign(entry, { status: 'failed', error: message, errorCode: code });
+            } finally {
+                entry.durationMs = Date.now() - startedAt;
+            }
         }
-        console.log('[Scene Split] All scene clips created.');
 
-        console.log(`[Scene Split] Uploading ${generatedFiles.length} files to GCS...`);
-        const uploadPromises = generatedFiles.map(filename => {
-            const localFilePath = path.join(tempDir, filename);
-            const gcsDestination = `scenes/${filename}`;
-            return storage.bucket(bucketName).upload(localFilePath, { destination: gcsDestination });
-        });
-        const uploadResults = await Promise.all(uploadPromises);
+        const failed = Object.values(report).filter(entry => entry.status !== 'succeeded').length;
+        console.log(`[Pipeline] Finished: ${order.length - failed} of ${order.length} steps succeeded.`);
+        return { success: failed === 0, mediaId: ctx.sourceMediaId, order, steps: report };
+    },
+});
 
-        const sceneUrls = uploadResults.map(result => result[0].publicUrl());
+// =================================================================
+// === HEALTH, READINESS & METRICS                              ===
+// =================================================================
+// These endpoints are unauthenticated so load balancers and Prometheus can
+// reach them; expose them only on the internal network if that matters.
+const READINESS_CACHE_MS = 30000;
+let readinessCheck = null;
 
-        res.status(200).json({ success: true, sceneUrls });
+const checkBinary = async (binary) => {
+  try {
+    const { stdout } = await execFileAsync(binary, ['-version'], { timeout: 5000 });
+    return { ok: true, version: stdout.split('\n')[0].trim() };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
 
-    } catch (error) {
-        console.error('[Scene Split] A critical error occurred:', error.message);
-        res.status(500).json({ error: 'Failed to process video scenes.' });
-    } finally {
-        if (fs.existsSync(tempDir)) {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-        }
-    }
+app.get('/healthz', (req, res) => {
+  res.status(200).json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Ready once ffmpeg and ffprobe run. The result is cached briefly so frequent
+// probes don't spawn a process each.
+app.get('/readyz', async (req, res) => {
+  if (!readinessCheck || Date.now() - readinessCheck.checkedAt > READINESS_CACHE_MS) {
+    const [ffmpegCheck, ffprobeCheck] = await Promise.all([checkBinary(FFMPEG_PATH), checkBinary(FFPROBE_PATH)]);
+    readinessCheck = { checkedAt: Date.now(), checks: { ffmpeg: ffmpegCheck, ffprobe: ffprobeCheck } };
+  }
+  const ready = Object.values(readinessCheck.checks).every(check => check.ok);
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks: readinessCheck.checks, workerPool: workerPool.stats() });
 });
 
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', promClient.register.contentType);
+  res.end(await promClient.register.metrics());
+});
+
+// Errors raised before a route handler runs, such as malformed or oversized
+// JSON bodies, get the same `{ error, code }` shape as everything else.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.too.large') return sendError(res, 413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${JSON_BODY_LIMIT}.`);
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, 'VALIDATION_FAILED', 'Request body is not valid JSON.');
+  console.error('[Server] Unhandled error:', err.message);
+  sendError(res, 500, 'INTERNAL_ERROR', 'An unexpected error occurred.');
+});
 
 // --- START THE SERVER ---
 app.listen(PORT, () => {
     console.log(`FFmpeg Media Service Toolkit is running on port ${PORT}`);
-});
\ No newline at end of file
+});